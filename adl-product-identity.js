@@ -0,0 +1,118 @@
+/*
+ * ADL Product Identity
+ * Purpose: One mapping between the three product identifiers used on the site
+ * so add, remove, checkout and purchase events for the same item join cleanly.
+ *
+ *  - id:        catalog id used in URLs and the cart ("1")
+ *  - sku:       catalog SKU ("1", or a variant SKU once variants exist)
+ *  - productID: external/analytics id sent in every event ("VEL-1")
+ *
+ * Exposes: window.adlProductIdentity
+ */
+(function (window) {
+  'use strict';
+
+  const PRODUCT_ID_PREFIX = 'VEL-';
+
+  // Lookups filled from the catalog: id -> entry, sku -> entry
+  const byId = {};
+  const bySku = {};
+
+  function stripPrefix(value) {
+    const str = String(value);
+    return str.indexOf(PRODUCT_ID_PREFIX) === 0 ? str.slice(PRODUCT_ID_PREFIX.length) : str;
+  }
+
+  /**
+   * Find the catalog id for any identifier (id, sku or productID)
+   */
+  function lookupId(value) {
+    if (value === undefined || value === null || value === '') return '';
+    const str = String(value);
+    if (byId[str]) return str;
+    if (bySku[str]) return bySku[str].id;
+
+    const stripped = stripPrefix(str);
+    if (byId[stripped]) return stripped;
+    if (bySku[stripped]) return bySku[stripped].id;
+
+    // Unknown to the catalog: trust the shape of the value
+    return stripped;
+  }
+
+  window.adlProductIdentity = {
+
+    /**
+     * Prefix used for external productIDs
+     */
+    prefix: PRODUCT_ID_PREFIX,
+
+    /**
+     * Register catalog entries so SKUs can be mapped back to ids.
+     * The first entry for an id sets its default SKU; later entries for the
+     * same id (variant SKUs) only add SKU lookups.
+     * @param {Array} products - Catalog entries with id and sku
+     */
+    register: function(products) {
+      (products || []).forEach(function(p) {
+        if (!p || p.id === undefined || p.id === null) return;
+        const entry = { id: String(p.id), sku: p.sku ? String(p.sku) : String(p.id) };
+        if (!byId[entry.id]) byId[entry.id] = entry;
+        bySku[entry.sku] = entry;
+      });
+    },
+
+    /**
+     * Resolve any identifier or product object to all three identifiers
+     * @param {string|number|Object} input - id, sku, productID, or an object carrying one
+     *   (productID, productId, id, sku, SKU - first one present wins)
+     * @returns {Object} { id, sku, productID } ('' fields when input is empty)
+     */
+    resolve: function(input) {
+      let value = input;
+      let sku = '';
+      if (input && typeof input === 'object') {
+        value = input.productID || input.productId || input.id || input.sku || input.SKU;
+        sku = input.sku || input.SKU || '';
+      }
+
+      const id = lookupId(value);
+      if (!id) return { id: '', sku: sku ? String(sku) : '', productID: '' };
+
+      // An explicit SKU on the object wins (variant SKUs differ from the base SKU)
+      return {
+        id: id,
+        sku: sku ? String(sku) : (byId[id] ? byId[id].sku : id),
+        productID: PRODUCT_ID_PREFIX + id
+      };
+    },
+
+    /**
+     * External productID for any identifier, e.g. "1" -> "VEL-1"
+     * @param {string|number|Object} input - id, sku, productID or product object
+     * @returns {string} productID or ''
+     */
+    toProductID: function(input) {
+      return this.resolve(input).productID;
+    },
+
+    /**
+     * Catalog id for any identifier, e.g. "VEL-1" -> "1"
+     * @param {string|number|Object} input - id, sku, productID or product object
+     * @returns {string} Catalog id or ''
+     */
+    toCatalogId: function(input) {
+      return this.resolve(input).id;
+    },
+
+    /**
+     * SKU for any identifier
+     * @param {string|number|Object} input - id, sku, productID or product object
+     * @returns {string} SKU or ''
+     */
+    toSku: function(input) {
+      return this.resolve(input).sku;
+    }
+  };
+
+})(window);
@@ -0,0 +1,339 @@
+/*
+ * ADL Transport
+ * Purpose: Optional delivery of data layer events to a collection endpoint,
+ * so events can be analysed server-side without Launch.
+ *
+ *  - Every event that enters adobeDataLayer (after redaction and consent) is
+ *    added to a queue kept in sessionStorage, so nothing is lost on navigation
+ *    or while offline, and each tab only ever sends its own events
+ *  - The queue is sent in batches with fetch (keepalive) and flushed with
+ *    navigator.sendBeacon on pagehide. A batch in flight is leased: neither
+ *    the beacon nor the next page sends it again until the lease runs out
+ *  - Restored events (carried over from the previous page) are not sent again
+ *
+ * Collector answers:
+ *   2xx                 - delivered
+ *   404, 405, 410, 501  - no collector here: the transport switches itself off
+ *                         for the tab (as it does when the site is opened from file:)
+ *   other 4xx           - the collector will never take the batch: dropped
+ *   5xx, network error  - retried with exponential backoff, up to maxAttempts
+ *
+ * Batch body (POST, application/json):
+ *   { sentAt, sessionID, visitorID, page, events: [{ id, queuedAt, data }] }
+ *
+ * The endpoint comes from the script tag (<script src="adl-transport.js"
+ * data-endpoint="/collect">) or adlTransport.configure({ endpoint }).
+ *
+ * Exposes: window.adlTransport
+ */
+(function (window) {
+  'use strict';
+
+  const QUEUE_KEY = 'velora_transportQueue';
+  const SESSION_KEY = 'velora_sessionId';
+  const OFF_KEY = 'velora_transportOff';
+  const DELIVERED_KEY = 'velora_transportDelivered';
+
+  // Statuses meaning nothing at the endpoint collects events
+  const NO_COLLECTOR_STATUSES = [404, 405, 410, 501];
+
+  const DEFAULT_TRANSPORT_CONFIG = {
+    endpoint: '',
+    batchSize: 20,          // events per request
+    flushInterval: 2000,    // ms to wait for more events before sending
+    maxQueue: 500,          // oldest events are dropped beyond this
+    retryBase: 1000,        // first retry delay (ms), doubled per failure
+    retryMax: 60000,        // longest retry delay (ms)
+    maxAttempts: 5,         // sends of one batch before it is dropped
+    leaseTime: 30000        // ms a batch in flight is left alone before it may be sent again
+  };
+
+  const currentScript = window.document && window.document.currentScript;
+  let transportConfig = Object.assign({}, DEFAULT_TRANSPORT_CONFIG, {
+    endpoint: (currentScript && currentScript.getAttribute('data-endpoint')) || ''
+  });
+
+  let flushTimer = null;
+  let failures = 0;
+  let sending = false;
+  let sequence = 0;
+
+  // ============================================================================
+  // QUEUE
+  // ============================================================================
+
+  // Queue entries: { id, queuedAt, data, attempts, leaseUntil }
+  function readQueue() {
+    try {
+      const stored = JSON.parse(window.sessionStorage.getItem(QUEUE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeQueue(queue) {
+    try {
+      if (queue.length) window.sessionStorage.setItem(QUEUE_KEY, JSON.stringify(queue.slice(-transportConfig.maxQueue)));
+      else window.sessionStorage.removeItem(QUEUE_KEY);
+    } catch (e) {
+      console.error('ADL Transport: Error saving queue', e);
+    }
+  }
+
+  function removeFromQueue(ids) {
+    writeQueue(readQueue().filter(function(entry) { return ids.indexOf(entry.id) === -1; }));
+  }
+
+  function updateEntries(ids, update) {
+    writeQueue(readQueue().map(function(entry) {
+      return ids.indexOf(entry.id) === -1 ? entry : update(Object.assign({}, entry));
+    }));
+  }
+
+  // Not part of a batch in flight
+  function isFree(entry, now) {
+    return !entry.leaseUntil || entry.leaseUntil <= now;
+  }
+
+  function getSessionId() {
+    try {
+      let id = window.sessionStorage.getItem(SESSION_KEY);
+      if (!id) {
+        id = 's-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 8);
+        window.sessionStorage.setItem(SESSION_KEY, id);
+      }
+      return id;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  function isSwitchedOff() {
+    try {
+      return window.sessionStorage.getItem(OFF_KEY) === transportConfig.endpoint;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function isActive() {
+    return !!transportConfig.endpoint && window.location.protocol !== 'file:' && !isSwitchedOff();
+  }
+
+  function hasDelivered() {
+    try {
+      return window.sessionStorage.getItem(DELIVERED_KEY) === transportConfig.endpoint;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function buildBatch(entries) {
+    return JSON.stringify({
+      sentAt: new Date().toISOString(),
+      sessionID: getSessionId(),
+      visitorID: window.veloraIdentity ? window.veloraIdentity.getVisitorId() : '',
+      page: window.location.pathname.split('/').pop() || 'index.html',
+      events: entries.map(function(entry) { return { id: entry.id, queuedAt: entry.queuedAt, data: entry.data }; })
+    });
+  }
+
+  // ============================================================================
+  // SENDING
+  // ============================================================================
+
+  function scheduleFlush(delay) {
+    if (flushTimer) return;
+    flushTimer = setTimeout(function() {
+      flushTimer = null;
+      window.adlTransport.flush();
+    }, delay);
+  }
+
+  function retryDelay() {
+    const delay = Math.min(transportConfig.retryMax, transportConfig.retryBase * Math.pow(2, failures - 1));
+    return Math.round(delay * (0.75 + Math.random() * 0.5)); // jitter so tabs don't retry in step
+  }
+
+  /**
+   * What to do with a batch the collector answered with this status
+   * @returns {string} 'delivered' | 'off' | 'drop' | 'retry'
+   */
+  function classifyStatus(status) {
+    if (status >= 200 && status < 300) return 'delivered';
+    if (NO_COLLECTOR_STATUSES.indexOf(status) !== -1) return 'off';
+    if (status >= 500) return 'retry';
+    return 'drop';
+  }
+
+  /**
+   * Release a failed batch for another try, dropping events out of attempts
+   */
+  function retryLater(ids, reason) {
+    failures++;
+    updateEntries(ids, function(entry) {
+      entry.attempts = (entry.attempts || 0) + 1;
+      entry.leaseUntil = 0;
+      return entry;
+    });
+    const spent = readQueue().filter(function(entry) {
+      return ids.indexOf(entry.id) !== -1 && entry.attempts >= transportConfig.maxAttempts;
+    }).map(function(entry) { return entry.id; });
+    if (spent.length) {
+      console.error('ADL Transport: send failed (' + reason + '), dropping ' + spent.length + ' events after ' + transportConfig.maxAttempts + ' attempts');
+      removeFromQueue(spent);
+    } else {
+      console.log('ADL Transport: send failed (' + reason + '), retry ' + failures);
+    }
+    if (readQueue().length) scheduleFlush(retryDelay());
+  }
+
+  function switchOff(status) {
+    try {
+      window.sessionStorage.setItem(OFF_KEY, transportConfig.endpoint);
+    } catch (e) {}
+    writeQueue([]);
+    console.log('ADL Transport: no collector at ' + transportConfig.endpoint + ' (HTTP ' + status + '), transport off for this tab');
+  }
+
+  function onEvent(item) {
+    if (!item || item.restored || !isActive()) return;
+    const queue = readQueue();
+    queue.push({ id: Date.now().toString(36) + '-' + (sequence++) + '-' + Math.random().toString(36).substr(2, 4), queuedAt: new Date().toISOString(), data: item });
+    writeQueue(queue);
+    if (queue.length >= transportConfig.batchSize) scheduleFlush(0);
+    else scheduleFlush(transportConfig.flushInterval);
+  }
+
+  window.adlTransport = {
+
+    /**
+     * Override transport settings (merged into the defaults)
+     * @param {Object} config - { endpoint, batchSize, flushInterval, maxQueue, retryBase, retryMax, maxAttempts, leaseTime }
+     * @returns {Object} Active settings
+     */
+    configure: function(config) {
+      transportConfig = Object.assign({}, DEFAULT_TRANSPORT_CONFIG, { endpoint: transportConfig.endpoint }, config);
+      return Object.assign({}, transportConfig);
+    },
+
+    /**
+     * @returns {boolean} Whether events are being delivered to an endpoint
+     */
+    isEnabled: function() {
+      return isActive();
+    },
+
+    /**
+     * @returns {boolean} Whether the endpoint has accepted a batch from this tab,
+     *   i.e. queued events are known to reach a collector
+     */
+    hasDelivered: function() {
+      return isActive() && hasDelivered();
+    },
+
+    /**
+     * @returns {Array} Events waiting to be sent
+     */
+    getQueue: function() {
+      return readQueue();
+    },
+
+    /**
+     * Send the next batch now with fetch (see the header for how answers are handled)
+     * @returns {Promise<boolean>} Whether a batch was delivered
+     */
+    flush: function() {
+      if (!isActive() || sending || typeof window.fetch !== 'function') return Promise.resolve(false);
+      if (window.navigator && window.navigator.onLine === false) return Promise.resolve(false); // 'online' flushes
+
+      const now = Date.now();
+      const queue = readQueue();
+      const entries = queue.filter(function(entry) { return isFree(entry, now); }).slice(0, transportConfig.batchSize);
+      if (!entries.length) {
+        // What is left is still leased to a send from an earlier page; look again when that runs out
+        if (queue.length) {
+          scheduleFlush(Math.min.apply(null, queue.map(function(entry) { return entry.leaseUntil; })) - now);
+        }
+        return Promise.resolve(false);
+      }
+
+      sending = true;
+      const ids = entries.map(function(entry) { return entry.id; });
+      updateEntries(ids, function(entry) {
+        entry.leaseUntil = now + transportConfig.leaseTime;
+        return entry;
+      });
+      return window.fetch(transportConfig.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: buildBatch(entries),
+        keepalive: true
+      }).then(function(response) {
+        sending = false;
+        const outcome = classifyStatus(response.status);
+        if (outcome === 'retry') {
+          retryLater(ids, 'HTTP ' + response.status);
+          return false;
+        }
+        if (outcome === 'off') {
+          switchOff(response.status);
+          return false;
+        }
+        if (outcome === 'drop') {
+          console.error('ADL Transport: batch rejected (HTTP ' + response.status + '), dropping ' + ids.length + ' events');
+        } else {
+          failures = 0;
+          try {
+            window.sessionStorage.setItem(DELIVERED_KEY, transportConfig.endpoint);
+          } catch (e) {}
+        }
+        removeFromQueue(ids);
+        if (readQueue().length) scheduleFlush(0);
+        return outcome === 'delivered';
+      }).catch(function(e) {
+        sending = false;
+        retryLater(ids, (e && e.message) || 'network error');
+        return false;
+      });
+    },
+
+    /**
+     * Hand everything queued to sendBeacon (used on pagehide), except batches
+     * already in flight; what the browser refuses stays queued for the next page
+     * @returns {number} Events handed over
+     */
+    flushBeacon: function() {
+      if (!isActive() || !window.navigator || typeof window.navigator.sendBeacon !== 'function') return 0;
+      const now = Date.now();
+      let free = readQueue().filter(function(entry) { return isFree(entry, now); });
+      let sent = [];
+      while (free.length) {
+        const entries = free.slice(0, transportConfig.batchSize);
+        const body = new Blob([buildBatch(entries)], { type: 'application/json' });
+        if (!window.navigator.sendBeacon(transportConfig.endpoint, body)) break;
+        sent = sent.concat(entries.map(function(entry) { return entry.id; }));
+        free = free.slice(entries.length);
+      }
+      if (sent.length) removeFromQueue(sent);
+      return sent.length;
+    }
+  };
+
+  // Start collecting: everything already in the data layer, then every new push
+  if (window.adl && typeof window.adl.addEventListener === 'function') {
+    window.adl.addEventListener('adobeDataLayer:event', onEvent);
+  }
+
+  // Events left from the previous page (or from being offline) go out first
+  if (isActive() && readQueue().length) scheduleFlush(0);
+
+  window.addEventListener('pagehide', function() {
+    window.adlTransport.flushBeacon();
+  });
+  window.addEventListener('online', function() {
+    window.adlTransport.flush();
+  });
+
+})(window);
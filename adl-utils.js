@@ -9,8 +9,31 @@
  * - removeFromCart: Commerce event for removing products
  * - scView: Shopping cart view
  * - beginCheckout: Begin checkout process
- * - scCheckout: Checkout page view
+ * - scCheckout: Checkout step entered (shipping, payment, review)
+ * - couponApplied / couponRejected: Promo code accepted or refused
+ * - formError: Checkout/payment field failed validation (field and error code, no value)
+ * - paymentAttempt / paymentFailed: Payment sent to the provider, and payments that did not go through
+ * - consentChanged: Shopper's consent decision (consent.js)
  * - scPurchase: Purchase completion
+ * - scPurchaseDuplicate: Replay of an already reported purchase (flagged, not revenue)
+ * - validationFailed: adl-validation.js strict mode found schema or consistency errors (dev/CI only)
+ *
+ * Every push runs through one pipeline (installPushHook): PII redaction
+ * (adl.configurePrivacy), the consent gate (consent.js), purchase
+ * de-duplication (an orderID already reported in the last 30 days goes out as
+ * scPurchaseDuplicate, or not at all with configurePurchaseDedup({
+ * onDuplicate: 'suppress' })), then computed state (adl.get) and listeners
+ * (adl.addEventListener, scope 'past' | 'future' | 'all').
+ *
+ * Only the linkClicked that led to a page is restored there, once, marked
+ * restored: true; the session's history stays in velora_eventHistory
+ * (adl.getHistory(), newest 20) and is not pushed again.
+ *
+ * Page names and types come from DEFAULT_ROUTES (adl.resolvePage,
+ * adl.configureRoutes); prices are INR / en-IN unless adl.configureCurrency
+ * says otherwise.
+ *
+ * Events can also be sent to our own collector with adl-transport.js.
  */
 
 (function() {
@@ -22,12 +45,59 @@
   // Dedicated Utility Namespace
   window.adl = window.adl || {};
 
+  // sessionStorage keys used by the cross-page restoration flow (see acdl-spec.md)
+  const HISTORY_KEY = 'velora_eventHistory';
+  const LAST_LINK_KEY = 'velora_lastLinkClicked';
+  const PAGE_DATA_KEY = 'velora_pageData';
+
+  // Events carried over to the next page, and how many of them to keep
+  const PERSISTED_EVENTS = ['linkClicked'];
+  const DEFAULT_MAX_HISTORY = 20;
+
+  // localStorage key for orderIDs already sent as scPurchase, and replay handling
+  const REPORTED_ORDERS_KEY = 'velora_reportedOrders';
+  const DEFAULT_PURCHASE_DEDUP = {
+    ttl: 30 * 24 * 60 * 60 * 1000, // 30 days
+    onDuplicate: 'flag'            // 'flag' -> scPurchaseDuplicate, 'suppress' -> nothing pushed
+  };
+  let purchaseDedup = Object.assign({}, DEFAULT_PURCHASE_DEDUP);
+
+  // PII handling applied to every push before it enters the data layer. Paths are
+  // dot paths with array indexes left out; '*' matches one segment, '**' any number.
+  const DEFAULT_PRIVACY = {
+    enabled: true,
+    strict: false,                        // true -> block pushes that still carry an email or card number
+    hash: ['**.email', '**.customerEmail'],   // SHA-256 of the trimmed, lower-cased value
+    drop: ['**.shippingAddress.firstName', '**.shippingAddress.lastName', '**.shippingAddress.address'],
+    truncate: { '**.shippingAddress.zipCode': 3 },   // keep the first N characters
+    allow: ['**.orderID', '**.transactionId', 'duplicate.orderID', '**.customerID', '**.visitorID']  // never masked
+  };
+  let privacy = JSON.parse(JSON.stringify(DEFAULT_PRIVACY));
+
+  // Keys that describe a push rather than page/customer state (never merged into state)
+  const NON_STATE_KEYS = ['event', 'eventInfo', 'restored', 'consentReplay', 'timestamp'];
+
+  let maxHistory = DEFAULT_MAX_HISTORY;
+  let initialized = false;
+
+  // Computed state: every push merged in order, like ACDL getState()
+  let computedState = {};
+
+  // Listener event names with ACDL meaning: any event push / any data push
+  const ALL_EVENTS = 'adobeDataLayer:event';
+  const ALL_CHANGES = 'adobeDataLayer:change';
+  const LISTENER_SCOPES = ['past', 'future', 'all'];
+
+  // Registered listeners: { eventName, handler, path }
+  let listeners = [];
+
   // ============================================================================
   // Core Helper Functions
   // ============================================================================
 
   /**
-   * Build custData object (common to ALL events)
+   * Build custData object (common to ALL events). Identity comes from
+   * identity.js: customerID is a SHA-256 hash, never a raw email.
    * @returns {Object} Customer data object
    */
   window.adl.buildCustData = function() {
@@ -35,16 +105,20 @@
       const ua = navigator.userAgent || '';
       const isMobile = (window.innerWidth && window.innerWidth <= 768) || /Mobi|Android/i.test(ua);
       const platform = isMobile ? 'mobile website' : 'desktop website';
-      
-      const loginStatus = (window.user && window.user.isLoggedIn) ? 'logged-in' : 'guest';
-      const customerID = (window.user && window.user.id) ? String(window.user.id) : '';
 
-      return {
-        customerID: customerID,
+      const identity = window.veloraIdentity
+        ? window.veloraIdentity.get()
+        : { visitorID: '', customerID: '', loginStatus: 'guest' };
+
+      const custData = {
+        customerID: identity.customerID,
+        visitorID: identity.visitorID,
         lang: "english",
-        loginStatus: loginStatus,
+        loginStatus: identity.loginStatus,
         platform: platform
       };
+      if (window.veloraConsent) custData.consent = window.veloraConsent.getStatus();
+      return custData;
     } catch (e) {
       console.error('ADL: Error building custData', e);
       return {
@@ -56,52 +130,857 @@
     }
   };
 
+  // ============================================================================
+  // PAGE RESOLUTION
+  // ============================================================================
+
+  /**
+   * Route table: the single source of page metadata.
+   * pageUrl may carry query placeholders ("pdp.html?id={productId}"); pageName
+   * may use the same placeholders ("product:{productId}").
+   */
+  const DEFAULT_ROUTES = [
+    { id: 'home', pageName: 'home', pageType: 'home', channel: 'web|home', pageUrl: 'index.html' },
+    { id: 'plp', pageName: 'plp', pageType: 'category', channel: 'web|plp', pageUrl: 'plp.html' },
+    { id: 'pdp', pageName: 'product:{productId}', pageType: 'pdp', channel: 'web|pdp', pageUrl: 'pdp.html?id={productId}' },
+    { id: 'cart', pageName: 'cart', pageType: 'cart', channel: 'web|cart', pageUrl: 'cart.html' },
+    { id: 'checkout', pageName: 'checkout', pageType: 'checkout', channel: 'web|checkout', pageUrl: 'checkout.html' },
+    { id: 'payment', pageName: 'payment', pageType: 'checkout', channel: 'web|checkout', pageUrl: 'payment.html' },
+    { id: 'thankyou', pageName: 'thankyou', pageType: 'thankyou', channel: 'web|thankyou', pageUrl: 'thankyou.html' },
+    { id: 'payment-failed', pageName: 'payment-failed:{reason}', pageType: 'error', channel: 'web|error', pageUrl: 'failure.html?type=payment&reason={reason}' },
+    { id: 'failure', pageName: 'order-cancelled', pageType: 'error', channel: 'web|error', pageUrl: 'failure.html' }
+  ];
+
+  let routes = [];
+
+  /**
+   * Parse a route's pageUrl into a file name and query constraints
+   */
+  function compileRoute(route) {
+    const parts = String(route.pageUrl || '').split('?');
+    const query = [];
+    new URLSearchParams(parts[1] || '').forEach(function(value, key) {
+      const placeholder = /^\{(\w+)\}$/.exec(value);
+      query.push({ key: key, param: placeholder ? placeholder[1] : null, value: placeholder ? null : value });
+    });
+    return Object.assign({}, route, {
+      file: parts[0].split('/').pop() || 'index.html',
+      query: query,
+      // Literal query values make a route more specific than placeholders
+      specificity: query.filter(function(q) { return q.value !== null; }).length
+    });
+  }
+
+  /**
+   * Fill {placeholders} in a template from params (missing params become '')
+   */
+  function fillTemplate(template, params) {
+    return String(template).replace(/\{(\w+)\}/g, function(match, name) {
+      return params[name] !== undefined && params[name] !== null ? String(params[name]) : '';
+    });
+  }
+
+  /**
+   * Replace the route table
+   * @param {Array} table - Entries of { id, pageName, pageType, channel, pageUrl }
+   */
+  window.adl.configureRoutes = function(table) {
+    if (!Array.isArray(table) || !table.length) {
+      console.error('ADL: configureRoutes requires a non-empty route table');
+      return;
+    }
+    routes = table.map(compileRoute).sort(function(a, b) { return b.specificity - a.specificity; });
+  };
+
+  /**
+   * Get the route table in use
+   * @returns {Array} Route entries
+   */
+  window.adl.getRoutes = function() {
+    return routes.map(function(route) {
+      return { id: route.id, pageName: route.pageName, pageType: route.pageType, channel: route.channel, pageUrl: route.pageUrl };
+    });
+  };
+
+  /**
+   * Resolve page metadata for a URL from the route table
+   * @param {Object} options - Optional: { url (defaults to current page), params (override URL placeholders) }
+   * @returns {Object} { id, pageName, pageType, channel, params }
+   */
+  window.adl.resolvePage = function(options) {
+    const opts = options || {};
+    try {
+      const url = new URL(opts.url || window.location.href, window.location.href);
+      const file = url.pathname.split('/').pop() || 'index.html';
+
+      let match = null;
+      const params = {};
+      for (let i = 0; i < routes.length && !match; i++) {
+        const route = routes[i];
+        if (route.file !== file) continue;
+        const literalsMatch = route.query.every(function(q) {
+          return q.value === null || url.searchParams.get(q.key) === q.value;
+        });
+        if (!literalsMatch) continue;
+        match = route;
+        route.query.forEach(function(q) {
+          if (q.param && url.searchParams.has(q.key)) params[q.param] = url.searchParams.get(q.key);
+        });
+      }
+
+      // Unknown pages resolve like the home route
+      match = match || routes.filter(function(route) { return route.id === 'home'; })[0] || routes[0];
+      Object.assign(params, opts.params || {});
+
+      // Product placeholders always carry the canonical productID ("2" -> "VEL-2")
+      if (params.productId && window.adlProductIdentity) {
+        params.productId = window.adlProductIdentity.toProductID(params.productId);
+      }
+
+      return {
+        id: match.id,
+        pageName: fillTemplate(match.pageName, params),
+        pageType: match.pageType,
+        channel: match.channel || 'web|' + match.pageType,
+        params: params
+      };
+    } catch (e) {
+      console.error('ADL: Error resolving page', e);
+      return { id: 'home', pageName: 'home', pageType: 'home', channel: 'web|home', params: {} };
+    }
+  };
+
   /**
    * Get page type from current URL
    * @returns {string} Page type identifier
    */
   window.adl.getPageType = function() {
+    return window.adl.resolvePage().pageType;
+  };
+
+  /**
+   * Get page name for tracking
+   * @param {Object} params - Optional values for page name placeholders, e.g. { productId }
+   * @returns {string} Page name
+   */
+  window.adl.getPageName = function(params) {
+    return window.adl.resolvePage({ params: params }).pageName;
+  };
+
+  /**
+   * Build webPageDetails for a pageLoaded event from the route table
+   * @param {Object} params - Optional values for page name placeholders, e.g. { productId }
+   * @returns {Object} { brand, channel, pageName, pageType, pageUrl }
+   */
+  window.adl.buildWebPageDetails = function(params) {
+    const page = window.adl.resolvePage({ params: params });
+    return {
+      brand: "velora",
+      channel: page.channel,
+      pageName: page.pageName,
+      pageType: page.pageType,
+      pageUrl: window.location.href
+    };
+  };
+
+  window.adl.configureRoutes(DEFAULT_ROUTES);
+
+  // ============================================================================
+  // CURRENCY & LOCALE
+  // ============================================================================
+
+  /**
+   * Site-level currency settings. Catalog prices are in the site currency unless
+   * a product carries its own currencyCode. When reportingCurrency is set and
+   * conversionRates has a rate for the local currency, commerce payloads also
+   * carry the converted reporting values.
+   */
+  const DEFAULT_CURRENCY_CONFIG = {
+    currencyCode: 'INR',
+    locale: 'en-IN',
+    reportingCurrency: '',
+    // Units of reportingCurrency per one unit of the keyed currency, e.g. { INR: 0.012 }
+    conversionRates: {}
+  };
+
+  let currencyConfig = Object.assign({}, DEFAULT_CURRENCY_CONFIG);
+
+  /**
+   * Override site currency settings
+   * @param {Object} options - { currencyCode, locale, reportingCurrency, conversionRates }
+   */
+  window.adl.configureCurrency = function(options) {
+    const opts = options || {};
+    currencyConfig = Object.assign({}, currencyConfig, opts, {
+      conversionRates: Object.assign({}, currencyConfig.conversionRates, opts.conversionRates || {})
+    });
+  };
+
+  /**
+   * Get the current currency settings
+   * @returns {Object} { currencyCode, locale, reportingCurrency, conversionRates }
+   */
+  window.adl.getCurrencyConfig = function() {
+    return clone(currencyConfig);
+  };
+
+  /**
+   * ISO 4217 currency for a product (per-product override, else the site currency)
+   * @param {Object} product - Optional product with currencyCode or currency
+   * @returns {string} Currency code, e.g. 'INR'
+   */
+  window.adl.getCurrency = function(product) {
+    const code = product && (product.currencyCode || product.currency);
+    return code ? String(code).toUpperCase() : currencyConfig.currencyCode;
+  };
+
+  /**
+   * Convert an amount into the reporting currency
+   * @param {number} amount - Amount in currencyCode
+   * @param {string} currencyCode - Currency of amount (defaults to the site currency)
+   * @returns {number|null} Converted amount rounded to 2 decimals, or null without a reporting currency/rate
+   */
+  window.adl.toReportingCurrency = function(amount, currencyCode) {
+    const from = currencyCode || currencyConfig.currencyCode;
+    const to = currencyConfig.reportingCurrency;
+    if (!to) return null;
+    if (from === to) return Number(amount) || 0;
+
+    const rate = currencyConfig.conversionRates[from];
+    if (typeof rate !== 'number') return null;
+    return Math.round((Number(amount) || 0) * rate * 100) / 100;
+  };
+
+  /**
+   * Format a price for display using the site locale
+   * @param {number} amount - Amount to format
+   * @param {string} currencyCode - Optional currency (defaults to the site currency)
+   * @returns {string} Localized price, e.g. '₹2,499.00'
+   */
+  window.adl.formatPrice = function(amount, currencyCode) {
+    const code = currencyCode || currencyConfig.currencyCode;
     try {
-      const path = window.location.pathname || window.location.href;
-      const params = new URLSearchParams(window.location.search);
-      
-      if (path.includes('pdp.html') || params.get('id')) return 'pdp';
-      if (path.includes('plp.html')) return 'category';
-      if (path.includes('cart.html')) return 'cart';
-      if (path.includes('checkout.html')) return 'checkout';
-      if (path.includes('payment.html')) return 'checkout';
-      if (path.includes('thankyou.html')) return 'confirmation';
-      if (path.includes('index.html') || path === '/' || path.endsWith('/')) return 'home';
-      
-      return 'home';
+      return new Intl.NumberFormat(currencyConfig.locale, { style: 'currency', currency: code }).format(Number(amount) || 0);
     } catch (e) {
-      console.error('ADL: Error getting page type', e);
-      return 'home';
+      return code + ' ' + (Number(amount) || 0);
     }
   };
 
   /**
-   * Get page name for tracking
-   * @returns {string} Page name
+   * Add reporting-currency values to a payload when conversion is configured
+   * @param {Object} target - Payload to extend
+   * @param {Object} amounts - { fieldName: amount } to convert
+   * @param {string} currencyCode - Currency of the amounts
+   */
+  function addReportingValues(target, amounts, currencyCode) {
+    if (!currencyConfig.reportingCurrency) return target;
+
+    const converted = {};
+    const keys = Object.keys(amounts);
+    for (let i = 0; i < keys.length; i++) {
+      const value = window.adl.toReportingCurrency(amounts[keys[i]], currencyCode);
+      if (value === null) return target;
+      converted[keys[i]] = value;
+    }
+
+    target.reportingCurrencyCode = currencyConfig.reportingCurrency;
+    keys.forEach(function(key) {
+      target['reporting' + key.charAt(0).toUpperCase() + key.slice(1)] = converted[key];
+    });
+    return target;
+  }
+
+  /**
+   * Resolve a product's identifiers through adl-product-identity.js when loaded
+   * @param {Object} p - Product with productID, id or sku
+   * @returns {Object} { productID, sku }
+   */
+  function resolveProductIdentity(p) {
+    if (window.adlProductIdentity && typeof window.adlProductIdentity.resolve === 'function') {
+      return window.adlProductIdentity.resolve(p);
+    }
+    return { productID: p.productID || '', sku: p.sku || '' };
+  }
+
+  /**
+   * Build the product object shared by every commerce event
+   * @param {Object} p - Product with productID, productName, price, quantity, ...
+   * @returns {Object} Product payload
    */
-  window.adl.getPageName = function() {
+  function buildCommerceProduct(p) {
+    const currencyCode = window.adl.getCurrency(p);
+    const identity = resolveProductIdentity(p);
+    return addReportingValues({
+      sku: identity.sku,
+      productID: identity.productID,
+      productName: p.productName || '',
+      brand: p.brand || 'velora',
+      category: p.category || '',
+      price: p.price || 0,
+      color: p.color || '',
+      size: p.size || '',
+      quantity: p.quantity || 1,
+      currencyCode: currencyCode
+    }, { price: p.price || 0 }, currencyCode);
+  }
+
+  // ============================================================================
+  // CROSS-PAGE PERSISTENCE
+  // ============================================================================
+
+  /**
+   * Read the persisted event history from sessionStorage
+   * @returns {Array} Stored events, oldest first
+   */
+  function readHistory() {
     try {
-      const pageType = window.adl.getPageType();
-      const pageNames = {
-        'home': 'home',
-        'category': 'plp',
-        'pdp': 'product',
-        'cart': 'cart',
-        'checkout': 'checkout',
-        'confirmation': 'confirmation'
-      };
-      return pageNames[pageType] || 'home';
+      const stored = JSON.parse(sessionStorage.getItem(HISTORY_KEY) || 'null');
+      if (Array.isArray(stored)) return stored;
+
+      // Migrate the single-event key written by adl-xdm-helper.js
+      const lastLink = JSON.parse(sessionStorage.getItem(LAST_LINK_KEY) || 'null');
+      return lastLink && lastLink.event ? [lastLink] : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Write the event history, keeping only the newest maxHistory entries
+   * @param {Array} history - Events, oldest first
+   */
+  function writeHistory(history) {
+    try {
+      sessionStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(-maxHistory)));
+    } catch (e) {
+      // ignore storage failures (private mode, quota)
+    }
+  }
+
+  /**
+   * Persist a freshly pushed event so the next page can restore it
+   * Events consent.js held on an earlier page (consentReplay) go into the history
+   * but are not restored on the next page: they belong to the page before this one.
+   * @param {Object} eventObject - Event pushed to the data layer
+   */
+  function persistEvent(eventObject) {
+    if (!eventObject || !eventObject.event || eventObject.restored) return;
+
+    try {
+      if (PERSISTED_EVENTS.indexOf(eventObject.event) !== -1) {
+        const entry = Object.assign({}, eventObject, { timestamp: eventObject.timestamp || Date.now() });
+        const history = readHistory();
+        history.push(entry);
+        writeHistory(history);
+        if (!eventObject.consentReplay) sessionStorage.setItem(LAST_LINK_KEY, JSON.stringify(entry));
+      }
+      if (eventObject.event === 'pageLoaded' && !eventObject.consentReplay) {
+        sessionStorage.setItem(PAGE_DATA_KEY, JSON.stringify(
+          Object.assign({}, eventObject, { timestamp: eventObject.timestamp || Date.now() })
+        ));
+      }
     } catch (e) {
-      console.error('ADL: Error getting page name', e);
-      return 'home';
+      // ignore storage failures
+    }
+  }
+
+  // ============================================================================
+  // COMPUTED STATE
+  // ============================================================================
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Split "a.b[0].c" or "a.b.0.c" into ['a', 'b', '0', 'c']
+   */
+  function splitPath(path) {
+    return String(path).replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+  }
+
+  /**
+   * Deep-merge source into target. Objects merge, arrays and primitives
+   * replace, and null removes the key (same rules as the ACDL library).
+   */
+  function deepMerge(target, source) {
+    Object.keys(source).forEach(function(key) {
+      const value = source[key];
+      if (value === null) {
+        delete target[key];
+      } else if (isPlainObject(value)) {
+        if (!isPlainObject(target[key])) target[key] = {};
+        deepMerge(target[key], value);
+      } else if (value !== undefined) {
+        target[key] = clone(value);
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Merge a pushed entry into the computed state
+   * Restored events and consent replays belong to previous pages and are not merged.
+   * @param {Object} eventObject - Entry pushed to the data layer
+   */
+  function mergeIntoState(eventObject) {
+    if (!isPlainObject(eventObject) || eventObject.restored || eventObject.consentReplay) return;
+
+    const data = {};
+    Object.keys(eventObject).forEach(function(key) {
+      if (NON_STATE_KEYS.indexOf(key) === -1) data[key] = eventObject[key];
+    });
+    deepMerge(computedState, data);
+  }
+
+  /**
+   * Set a single path in the computed state, creating parents as needed
+   */
+  function setStatePath(path, value) {
+    const keys = splitPath(path);
+    let node = computedState;
+    for (let i = 0; i < keys.length - 1; i++) {
+      if (node[keys[i]] === null || typeof node[keys[i]] !== 'object') node[keys[i]] = {};
+      node = node[keys[i]];
+    }
+    node[keys[keys.length - 1]] = clone(value);
+  }
+
+  /**
+   * Get the computed data layer state, or the value at a path within it
+   * @param {string} path - Optional dot path, e.g. 'xdmPageLoad.custData.loginStatus'
+   * @returns {*} Copy of the state/value, or undefined if the path is not set
+   */
+  window.adl.getState = function(path) {
+    if (!path) return clone(computedState);
+
+    let node = computedState;
+    const keys = splitPath(path);
+    for (let i = 0; i < keys.length; i++) {
+      if (node === null || typeof node !== 'object') return undefined;
+      node = node[keys[i]];
+    }
+    return clone(node);
+  };
+
+  /**
+   * Read any path from the computed state
+   * @param {string} path - Dot path, e.g. 'custData' or 'xdmPageLoad.web.productDetails[0].price'
+   * @returns {*} Value at the path or undefined
+   */
+  window.adl.get = function(path) {
+    return window.adl.getState(path);
+  };
+
+  /**
+   * Replace xdmPageLoad.web.productDetails in the computed state
+   * Used for cart quantity changes: updates state WITHOUT pushing a new event.
+   * @param {Array} products - Current product details
+   */
+  window.adl.updateProductDetails = function(products) {
+    try {
+      if (!Array.isArray(products)) {
+        console.error('ADL: updateProductDetails requires an array of products');
+        return;
+      }
+      setStatePath('xdmPageLoad.web.productDetails', products);
+      console.log('ADL: productDetails updated:', products.length);
+    } catch (e) {
+      console.error('ADL: Error updating product details', e);
     }
   };
 
+  // ============================================================================
+  // EVENT LISTENERS
+  // ============================================================================
+
+  /**
+   * Whether a data layer entry should reach a listener
+   */
+  function listenerMatches(listener, item) {
+    if (!isPlainObject(item)) return false;
+
+    if (listener.eventName === ALL_EVENTS) {
+      if (!item.event) return false;
+    } else if (listener.eventName === ALL_CHANGES) {
+      if (item.event && Object.keys(item).every(function(key) { return NON_STATE_KEYS.indexOf(key) !== -1; })) return false;
+    } else if (item.event !== listener.eventName) {
+      return false;
+    }
+
+    if (listener.path) {
+      let node = item;
+      const keys = splitPath(listener.path);
+      for (let i = 0; i < keys.length; i++) {
+        if (node === null || typeof node !== 'object') return false;
+        node = node[keys[i]];
+      }
+      if (node === undefined) return false;
+    }
+    return true;
+  }
+
+  function callListener(listener, item) {
+    try {
+      listener.handler.call(window.adobeDataLayer, clone(item));
+    } catch (e) {
+      console.error('ADL: Error in data layer listener for ' + listener.eventName, e);
+    }
+  }
+
+  /**
+   * Deliver a freshly pushed entry to every matching listener
+   * @param {Object} item - Entry pushed to the data layer
+   */
+  function notifyListeners(item) {
+    listeners.slice(0).forEach(function(listener) {
+      if (listenerMatches(listener, item)) callListener(listener, item);
+    });
+  }
+
+  /**
+   * Subscribe to data layer events
+   * @param {string} eventName - Event name, 'adobeDataLayer:event' (all events) or 'adobeDataLayer:change' (all data pushes)
+   * @param {Function} handler - Called with a copy of each matching entry
+   * @param {Object} options - Optional: { scope: 'past' | 'future' | 'all' (default), path: only entries with data at this path }
+   */
+  window.adl.addEventListener = function(eventName, handler, options) {
+    try {
+      if (!eventName || typeof handler !== 'function') {
+        console.error('ADL: addEventListener requires an event name and a handler function');
+        return;
+      }
+
+      const opts = options || {};
+      const scope = opts.scope || 'all';
+      if (LISTENER_SCOPES.indexOf(scope) === -1) {
+        console.error('ADL: addEventListener scope must be one of ' + LISTENER_SCOPES.join(', '));
+        return;
+      }
+
+      const listener = { eventName: eventName, handler: handler, path: opts.path || '' };
+
+      // Replay entries already in the data layer for late subscribers
+      if (scope !== 'future') {
+        window.adobeDataLayer.slice(0).forEach(function(item) {
+          if (listenerMatches(listener, item)) callListener(listener, item);
+        });
+      }
+      if (scope !== 'past') {
+        listeners.push(listener);
+      }
+    } catch (e) {
+      console.error('ADL: Error adding event listener', e);
+    }
+  };
+
+  /**
+   * Unsubscribe from data layer events
+   * @param {string} eventName - Event name used when subscribing
+   * @param {Function} handler - Optional: omit to remove every listener for eventName
+   */
+  window.adl.removeEventListener = function(eventName, handler) {
+    listeners = listeners.filter(function(listener) {
+      return listener.eventName !== eventName || (handler && listener.handler !== handler);
+    });
+  };
+
+  // ============================================================================
+  // PII REDACTION
+  // ============================================================================
+
+  const EMAIL_PATTERN = /[^\s@"'<>()]+@[^\s@"'<>()]+\.[a-z]{2,}/ig;
+  // 13-19 digits starting like a card (2-6), optionally grouped with spaces or dashes
+  const CARD_PATTERN = /\b[2-6](?:[ -]?\d){12,18}\b/g;
+  const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+  /**
+   * Configure PII handling for pushes (merged into the defaults)
+   * @param {Object} config - { enabled, strict, hash: [paths], drop: [paths], truncate: { path: length }, allow: [paths] }
+   * @returns {Object} Active settings
+   */
+  window.adl.configurePrivacy = function(config) {
+    const cfg = config || {};
+    privacy = Object.assign(JSON.parse(JSON.stringify(DEFAULT_PRIVACY)), cfg);
+    if (cfg.truncate) privacy.truncate = Object.assign({}, cfg.truncate);
+    return JSON.parse(JSON.stringify(privacy));
+  };
+
+  /**
+   * Whether a dot path matches a pattern ('*' one segment, '**' any number of segments)
+   */
+  function pathMatches(pattern, path) {
+    const want = pattern.split('.');
+    const have = path.split('.');
+    const match = function(i, j) {
+      if (i === want.length) return j === have.length;
+      if (want[i] === '**') {
+        for (let k = j; k <= have.length; k++) {
+          if (match(i + 1, k)) return true;
+        }
+        return false;
+      }
+      return j < have.length && (want[i] === '*' || want[i] === have[j]) && match(i + 1, j + 1);
+    };
+    return match(0, 0);
+  }
+
+  function matchesAny(patterns, path) {
+    return (patterns || []).some(function(pattern) { return pathMatches(pattern, path); });
+  }
+
+  function luhnValid(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits.charAt(digits.length - 1 - i));
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Emails and card numbers (Luhn-valid digit runs) in a string
+   */
+  function findPII(value) {
+    const found = [];
+    (value.match(EMAIL_PATTERN) || []).forEach(function(match) { found.push({ type: 'email', match: match }); });
+    (value.match(CARD_PATTERN) || []).forEach(function(match) {
+      if (luhnValid(match.replace(/[ -]/g, ''))) found.push({ type: 'card', match: match });
+    });
+    return found;
+  }
+
+  function hashValue(value) {
+    const normalized = String(value).trim().toLowerCase();
+    if (!normalized || HASH_PATTERN.test(normalized)) return normalized;
+    // identity.js carries the hash function; without it the value cannot leave in any form
+    return window.veloraIdentity ? window.veloraIdentity.hash(normalized) : '';
+  }
+
+  /**
+   * Copy of a value with the privacy rules applied; findings collects what was changed
+   */
+  function redactValue(value, path, findings) {
+    if (Array.isArray(value)) {
+      return value.map(function(entry) { return redactValue(entry, path, findings); });
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.keys(value).forEach(function(key) {
+        const childPath = path ? path + '.' + key : key;
+        if (matchesAny(privacy.drop, childPath)) {
+          findings.push({ action: 'drop', path: childPath });
+          return;
+        }
+        copy[key] = redactValue(value[key], childPath, findings);
+      });
+      return copy;
+    }
+    if (typeof value !== 'string' || !value) return value;
+
+    if (matchesAny(privacy.hash, path)) {
+      const hashed = hashValue(value);
+      if (hashed !== value) findings.push({ action: 'hash', path: path });
+      return hashed;
+    }
+    const truncateAt = Object.keys(privacy.truncate || {}).filter(function(pattern) { return pathMatches(pattern, path); })
+      .map(function(pattern) { return privacy.truncate[pattern]; })[0];
+    if (truncateAt !== undefined) {
+      if (value.length > truncateAt) findings.push({ action: 'truncate', path: path });
+      return value.slice(0, truncateAt);
+    }
+    if (matchesAny(privacy.allow, path)) return value;
+
+    let masked = value;
+    findPII(value).forEach(function(pii) {
+      findings.push({ action: privacy.strict ? 'block' : 'mask', path: path, type: pii.type });
+      masked = masked.split(pii.match).join('[redacted-' + pii.type + ']');
+    });
+    return masked;
+  }
+
+  /**
+   * Apply the privacy rules to an event before it is pushed
+   * @param {Object} eventObject - Event or data object
+   * @returns {Object} { item: redacted copy (null when blocked), blocked, findings: [{ action, path, type }] }
+   */
+  window.adl.redact = function(eventObject) {
+    if (!privacy.enabled || !eventObject || typeof eventObject !== 'object' || Array.isArray(eventObject)) {
+      return { item: eventObject, blocked: false, findings: [] };
+    }
+    const findings = [];
+    const item = redactValue(eventObject, '', findings);
+    const blocked = findings.some(function(f) { return f.action === 'block'; });
+    return { item: blocked ? null : item, blocked: blocked, findings: findings };
+  };
+
+  // ============================================================================
+  // PUSH PIPELINE & INITIALIZATION
+  // ============================================================================
+
+  /**
+   * Check a push against its schema when adl-validation.js is loaded
+   * @param {Object} eventObject - Event pushed to the data layer
+   * @param {number} index - Position in adobeDataLayer
+   */
+  function validatePush(eventObject, index) {
+    try {
+      if (window.adlValidation && typeof window.adlValidation.validatePush === 'function') {
+        window.adlValidation.validatePush(eventObject, index);
+      }
+    } catch (e) {
+      console.error('ADL: Error validating push', e);
+    }
+  }
+
+  /**
+   * Whether consent.js lets a push through now (it queues or drops the rest)
+   * @param {Object} item - Item being pushed
+   */
+  function admitPush(item) {
+    try {
+      if (window.veloraConsent && typeof window.veloraConsent.admit === 'function') {
+        return window.veloraConsent.admit(item);
+      }
+    } catch (e) {
+      console.error('ADL: Error checking consent', e);
+    }
+    return true;
+  }
+
+  /**
+   * Route every push through the redaction, consent, purchase de-duplication, state, persistence,
+   * validation and listener steps
+   * Wraps adobeDataLayer.push once; items already in the array are left untouched
+   */
+  function installPushHook() {
+    const dataLayer = window.adobeDataLayer;
+    if (dataLayer.__adlHooked) return;
+
+    // Entries pushed before this script loaded still count towards the state
+    dataLayer.forEach(mergeIntoState);
+
+    const nativePush = Array.prototype.push;
+    dataLayer.push = function() {
+      for (let i = 0; i < arguments.length; i++) {
+        const redaction = window.adl.redact(arguments[i]);
+        if (redaction.blocked) {
+          console.error('ADL: Push blocked (strict privacy mode), PII found at:', redaction.findings
+            .filter(function(f) { return f.action === 'block'; })
+            .map(function(f) { return f.path + ' (' + f.type + ')'; }).join(', '));
+          continue;
+        }
+        if (!admitPush(redaction.item)) continue;
+        const item = dedupePurchase(redaction.item);
+        if (!item) continue;
+        nativePush.call(dataLayer, item);
+        recordPurchase(item);
+        mergeIntoState(item);
+        persistEvent(item);
+        validatePush(item, dataLayer.length - 1);
+        notifyListeners(item);
+      }
+      return dataLayer.length;
+    };
+    // Launch data elements read state the ACDL way: adobeDataLayer.getState(path)
+    dataLayer.getState = window.adl.getState;
+    dataLayer.addEventListener = window.adl.addEventListener;
+    dataLayer.removeEventListener = window.adl.removeEventListener;
+    Object.defineProperty(dataLayer, '__adlHooked', { value: true });
+  }
+
+  /**
+   * Read the linkClicked that led to this page (written by the previous page)
+   * @returns {Object|null} Stored event
+   */
+  function readLastLink() {
+    try {
+      const lastLink = JSON.parse(sessionStorage.getItem(LAST_LINK_KEY) || 'null');
+      return lastLink && lastLink.event ? lastLink : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Restore the previous page's linkClicked (acdl-spec.md), then start persisting new ones.
+   * Older history stays in sessionStorage (adl.getHistory()) but is not pushed again,
+   * so listeners and Launch rules don't re-fire for it on every navigation.
+   * Must run before the page fires its pageLoaded event; adl-utils.js calls it on load.
+   * @param {Object} options - Optional: { maxHistory }
+   * @returns {Array} Events restored into the data layer
+   */
+  window.adl.init = function(options) {
+    try {
+      const opts = options || {};
+      if (opts.maxHistory > 0) maxHistory = opts.maxHistory;
+      if (initialized) return [];
+      initialized = true;
+
+      installPushHook();
+
+      // Rewrite so a legacy single-key entry moves into the history
+      const history = readHistory().slice(-maxHistory);
+      writeHistory(history);
+
+      const lastLink = readLastLink();
+      const restored = lastLink ? [Object.assign({}, lastLink, { restored: true })] : [];
+      // Restored once: a reload or a page reached without a click has nothing to restore
+      try {
+        sessionStorage.removeItem(LAST_LINK_KEY);
+      } catch (e) {}
+      restored.forEach(function(entry) {
+        window.adobeDataLayer.push(entry);
+        console.log('✓ ACDL: Restored ' + entry.event + ' from previous page:', entry);
+      });
+
+      console.log('📊 ACDL Length:', window.adobeDataLayer.length);
+      return restored;
+    } catch (e) {
+      console.error('ADL: Error restoring data layer history', e);
+      return [];
+    }
+  };
+
+  /**
+   * Get the persisted cross-page event history
+   * @returns {Array} Stored events, oldest first
+   */
+  window.adl.getHistory = function() {
+    return readHistory();
+  };
+
+  /**
+   * Build the cart/checkout totals shared by scView, beginCheckout and scCheckout
+   * @param {Object} cart - Cart with totalQuantity, totalValue, products, optional currencyCode
+   * @param {boolean} withProducts - Include the products array
+   * @returns {Object} Totals payload
+   */
+  function buildCartTotals(cart, withProducts) {
+    const currencyCode = window.adl.getCurrency(cart);
+    const totals = {
+      totalQuantity: cart.totalQuantity || 0,
+      totalValue: cart.totalValue || 0,
+      currencyCode: currencyCode
+    };
+    const amounts = { totalValue: totals.totalValue };
+    // Breakdown from the totals engine (totals.js) when the caller has one
+    ['subtotal', 'discount', 'shipping', 'tax'].forEach(function(field) {
+      if (typeof cart[field] === 'number') totals[field] = amounts[field] = cart[field];
+    });
+    addReportingValues(totals, amounts, currencyCode);
+    if (withProducts) totals.products = (cart.products || []).map(buildCommerceProduct);
+    return totals;
+  }
+
   // ============================================================================
   // PAGE LOADED EVENT
   // ============================================================================
@@ -113,8 +992,18 @@
   window.adl.firePageLoaded = function(options) {
     try {
       const opts = options || {};
-      const pageType = opts.pageType || window.adl.getPageType();
-      let pageName = opts.pageName || window.adl.getPageName();
+      const product = opts.productDetails || null;
+
+      // Page metadata comes from the route table; explicit options still win
+      const webPageDetails = window.adl.buildWebPageDetails(product ? { productId: resolveProductIdentity(product).productID } : null);
+      if (opts.pageType) {
+        webPageDetails.pageType = opts.pageType;
+        webPageDetails.channel = "web|" + opts.pageType;
+      }
+      if (opts.pageName) webPageDetails.pageName = opts.pageName;
+
+      const pageType = webPageDetails.pageType;
+      const pageName = webPageDetails.pageName;
       const custData = window.adl.buildCustData();
 
       // Build base event
@@ -123,34 +1012,15 @@
         xdmPageLoad: {
           custData: custData,
           web: {
-            webPageDetails: {
-              brand: "velora",
-              channel: "web|" + pageType,
-              pageName: pageName,
-              pageType: pageType,
-              pageUrl: window.location.href
-            }
+            webPageDetails: webPageDetails
           }
         }
       };
 
       // PDP ONLY: Include productDetails in pageLoaded
-      if (pageType === 'pdp' && opts.productDetails) {
-        const product = opts.productDetails;
-        eventObject.xdmPageLoad.web.webPageDetails.pageName = "product:" + (product.productID || '').toLowerCase();
+      if (pageType === 'pdp' && product) {
         eventObject.xdmPageLoad.web.webPageDetails.productCategory = product.category || '';
-        eventObject.xdmPageLoad.web.productDetails = [{
-          productID: product.productID || '',
-          sku: product.sku || '',
-          productName: product.productName || '',
-          brand: product.brand || 'velora',
-          category: product.category || '',
-          price: product.price || 0,
-          color: product.color || '',
-          size: product.size || '',
-          quantity: product.quantity || 1,
-          currency: "USD"
-        }];
+        eventObject.xdmPageLoad.web.productDetails = [buildCommerceProduct(product)];
       }
 
       window.adobeDataLayer.push(eventObject);
@@ -238,16 +1108,23 @@
         }
       };
       
-      // Handle navigation for legacy calls
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: linkClicked event fired:', linkName);
+
+      // Handle navigation for legacy calls. Once adl-transport.js has had a batch
+      // accepted in this tab, the event is already queued in storage and goes out
+      // on pagehide, so there is nothing to wait for; otherwise give Launch a
+      // moment to send it.
       if (linkURL && shouldNavigate) {
-        setTimeout(function() {
+        if (window.adlTransport && typeof window.adlTransport.hasDelivered === 'function' && window.adlTransport.hasDelivered()) {
           window.location.href = linkURL;
-        }, 300);
+        } else {
+          setTimeout(function() {
+            window.location.href = linkURL;
+          }, 300);
+        }
       }
 
-      window.adobeDataLayer.push(eventObject);
-      console.log('ADL: linkClicked event fired:', linkName);
-
     } catch (e) {
       console.error('ADL: Error tracking link click', e);
     }
@@ -263,7 +1140,7 @@
    */
   window.adl.trackAddToCart = function(product) {
     try {
-      if (!product || !product.productID) {
+      if (!product || !resolveProductIdentity(product).productID) {
         console.error('ADL: trackAddToCart requires product with productID');
         return;
       }
@@ -274,18 +1151,7 @@
         event: "addToCart",
         custData: custData,
         xdmCommerce: {
-          product: {
-            sku: product.sku || '',
-            productID: product.productID,
-            productName: product.productName,
-            brand: product.brand || 'velora',
-            category: product.category,
-            color: product.color || '',
-            size: product.size || '',
-            price: product.price,
-            quantity: product.quantity || 1,
-            currencyCode: "USD"
-          }
+          product: buildCommerceProduct(product)
         }
       };
 
@@ -313,7 +1179,7 @@
    */
   window.adl.trackRemoveFromCart = function(product) {
     try {
-      if (!product || !product.productID) {
+      if (!product || !resolveProductIdentity(product).productID) {
         console.error('ADL: trackRemoveFromCart requires product with productID');
         return;
       }
@@ -324,18 +1190,7 @@
         event: "removeFromCart",
         custData: custData,
         xdmCommerce: {
-          product: {
-            sku: product.sku || '',
-            productID: product.productID,
-            productName: product.productName,
-            brand: product.brand || 'velora',
-            category: product.category || '',
-            price: product.price || 0,
-            color: product.color || '',
-            size: product.size || '',
-            quantity: product.quantity || 1,
-            currencyCode: "USD"
-          }
+          product: buildCommerceProduct(product)
         }
       };
 
@@ -354,6 +1209,7 @@
   /**
    * Track shopping cart view event
    * @param {Object} cart - Cart object with totalQuantity, totalValue, products
+   *   (optional subtotal, discount, shipping, tax from veloraTotals)
    * @param {string} pageName - Page name (optional)
    */
   window.adl.trackShoppingCartView = function(cart, pageName) {
@@ -369,24 +1225,7 @@
         event: "scView",
         custData: custData,
         xdmCommerce: {
-          cart: {
-            totalQuantity: cart.totalQuantity || 0,
-            totalValue: cart.totalValue || 0,
-            products: (cart.products || []).map(function(p) {
-              return {
-                sku: p.sku || '',
-                productID: p.productID,
-                productName: p.productName,
-                brand: p.brand || 'velora',
-                category: p.category || '',
-                price: p.price || 0,
-                color: p.color || '',
-                size: p.size || '',
-                quantity: p.quantity || 1,
-                currencyCode: "USD"
-              };
-            })
-          }
+          cart: buildCartTotals(cart, true)
         }
       };
 
@@ -405,6 +1244,7 @@
   /**
    * Track begin checkout event
    * @param {Object} cart - Cart object with totalQuantity, totalValue
+   *   (optional subtotal, discount, shipping, tax from veloraTotals)
    */
   window.adl.trackBeginCheckout = function(cart) {
     try {
@@ -419,10 +1259,7 @@
         event: "beginCheckout",
         custData: custData,
         xdmCommerce: {
-          checkout: {
-            totalQuantity: cart.totalQuantity || 0,
-            totalValue: cart.totalValue || 0
-          }
+          checkout: buildCartTotals(cart, false)
         }
       };
 
@@ -439,57 +1276,374 @@
   // ============================================================================
 
   /**
-   * Track checkout page view event
+   * Track entering a checkout step (steps are defined in checkout.js)
    * @param {Object} cart - Cart object with totalQuantity, totalValue, products
+   *   (optional subtotal, discount, shipping, tax from veloraTotals)
+   * @param {Object} step - { name, number }, e.g. { name: 'payment', number: 2 }
    */
-  window.adl.trackCheckout = function(cart) {
+  window.adl.trackCheckout = function(cart, step) {
     try {
       if (!cart) {
         console.error('ADL: trackCheckout requires cart object');
         return;
       }
+      if (!step || !step.name) {
+        console.error('ADL: trackCheckout requires step with name and number');
+        return;
+      }
 
       const custData = window.adl.buildCustData();
+      const checkout = buildCartTotals(cart, true);
+      checkout.checkoutStep = step.name;
+      checkout.checkoutStepNumber = step.number || 0;
 
       const eventObject = {
         event: "scCheckout",
         custData: custData,
         xdmCommerce: {
-          checkout: {
-            totalQuantity: cart.totalQuantity || 0,
-            totalValue: cart.totalValue || 0,
-            products: (cart.products || []).map(function(p) {
-              return {
-                sku: p.sku || '',
-                productID: p.productID,
-                productName: p.productName,
-                brand: p.brand || 'velora',
-                category: p.category || '',
-                price: p.price || 0,
-                color: p.color || '',
-                size: p.size || '',
-                quantity: p.quantity || 1,
-                currencyCode: "USD"
-              };
-            })
-          }
+          checkout: checkout
         }
       };
 
       window.adobeDataLayer.push(eventObject);
-      console.log('ADL: scCheckout event fired');
+      console.log('ADL: scCheckout event fired:', step.name);
 
     } catch (e) {
       console.error('ADL: Error tracking checkout', e);
     }
   };
 
+  // ============================================================================
+  // COUPON EVENTS (couponApplied / couponRejected)
+  // ============================================================================
+
+  /**
+   * Track a promo code that was accepted
+   * @param {Object} coupon - { code, type, value, discountAmount }
+   */
+  window.adl.trackCouponApplied = function(coupon) {
+    try {
+      if (!coupon || !coupon.code) {
+        console.error('ADL: trackCouponApplied requires coupon with code');
+        return;
+      }
+
+      const currencyCode = window.adl.getCurrency();
+      const eventObject = {
+        event: "couponApplied",
+        custData: window.adl.buildCustData(),
+        xdmCommerce: {
+          coupon: addReportingValues({
+            code: coupon.code,
+            type: coupon.type || '',
+            value: coupon.value || 0,
+            discountAmount: coupon.discountAmount || 0,
+            currencyCode: currencyCode
+          }, { discountAmount: coupon.discountAmount || 0 }, currencyCode)
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: couponApplied event fired:', coupon.code);
+
+    } catch (e) {
+      console.error('ADL: Error tracking coupon applied', e);
+    }
+  };
+
+  /**
+   * Track a promo code that was refused
+   * @param {Object} coupon - { code, reason }
+   */
+  window.adl.trackCouponRejected = function(coupon) {
+    try {
+      if (!coupon) {
+        console.error('ADL: trackCouponRejected requires coupon object');
+        return;
+      }
+
+      const eventObject = {
+        event: "couponRejected",
+        custData: window.adl.buildCustData(),
+        xdmCommerce: {
+          coupon: {
+            code: coupon.code || '',
+            reason: coupon.reason || ''
+          }
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: couponRejected event fired:', coupon.code, coupon.reason);
+
+    } catch (e) {
+      console.error('ADL: Error tracking coupon rejected', e);
+    }
+  };
+
+  // ============================================================================
+  // FORM ERROR EVENT (formError)
+  // ============================================================================
+
+  /**
+   * Track a form field that failed validation. Only the field name and error
+   * code are sent - never the value the shopper typed.
+   * @param {Object} error - { formName, fieldName, errorCode, step (optional checkout step) }
+   */
+  window.adl.trackFormError = function(error) {
+    try {
+      if (!error || !error.fieldName || !error.errorCode) {
+        console.error('ADL: trackFormError requires fieldName and errorCode');
+        return;
+      }
+
+      const formError = {
+        formName: error.formName || '',
+        fieldName: error.fieldName,
+        errorCode: error.errorCode,
+        pageName: window.adl.getPageName()
+      };
+      if (error.step) formError.checkoutStep = error.step;
+
+      const eventObject = {
+        event: "formError",
+        custData: window.adl.buildCustData(),
+        xdmActionDetails: {
+          web: {
+            formError: formError
+          }
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: formError event fired:', formError.formName, formError.fieldName, formError.errorCode);
+
+    } catch (e) {
+      console.error('ADL: Error tracking form error', e);
+    }
+  };
+
+  // ============================================================================
+  // CONSENT EVENT (consentChanged)
+  // ============================================================================
+
+  /**
+   * Track a consent decision (called by consent.js)
+   * @param {Object} consent - { categories: { analytics, marketing, personalization },
+   *   previous: same shape, source: 'banner' | 'api' }; values 'pending' | 'granted' | 'denied'
+   */
+  window.adl.trackConsentChanged = function(consent) {
+    try {
+      if (!consent || !consent.categories) {
+        console.error('ADL: trackConsentChanged requires consent with categories');
+        return;
+      }
+
+      const eventObject = {
+        event: "consentChanged",
+        custData: window.adl.buildCustData(),
+        xdmConsent: {
+          categories: Object.assign({}, consent.categories),
+          previous: Object.assign({}, consent.previous),
+          source: consent.source || 'api'
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: consentChanged event fired:', consent.categories);
+
+    } catch (e) {
+      console.error('ADL: Error tracking consent change', e);
+    }
+  };
+
+  // ============================================================================
+  // PAYMENT EVENTS (paymentAttempt / paymentFailed)
+  // ============================================================================
+
+  /**
+   * xdmCommerce.payment from payment details (card brand only, never card data)
+   */
+  function buildPayment(payment) {
+    const currencyCode = payment.currencyCode || window.adl.getCurrency();
+    const details = {
+      orderID: String(payment.orderID || ''),
+      provider: payment.provider || '',
+      paymentMethod: payment.paymentMethod || 'card',
+      cardBrand: payment.cardBrand || '',
+      amount: payment.amount || 0,
+      currencyCode: currencyCode
+    };
+    if (payment.reason) details.reason = payment.reason;
+    if (payment.providerReason) details.providerReason = String(payment.providerReason);
+    return addReportingValues(details, { amount: details.amount }, currencyCode);
+  }
+
+  /**
+   * Track a payment sent to the payment provider
+   * @param {Object} payment - { orderID, provider, paymentMethod, cardBrand, amount, currencyCode }
+   */
+  window.adl.trackPaymentAttempt = function(payment) {
+    try {
+      if (!payment || !payment.orderID) {
+        console.error('ADL: trackPaymentAttempt requires payment with orderID');
+        return;
+      }
+
+      const eventObject = {
+        event: "paymentAttempt",
+        custData: window.adl.buildCustData(),
+        xdmCommerce: {
+          payment: buildPayment(payment)
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: paymentAttempt event fired:', payment.orderID);
+
+    } catch (e) {
+      console.error('ADL: Error tracking payment attempt', e);
+    }
+  };
+
+  /**
+   * Track a payment that did not go through
+   * @param {Object} payment - { orderID, provider, paymentMethod, cardBrand, amount, currencyCode, reason,
+   *   providerReason (the provider's own reason when reason is 'provider_error') }
+   */
+  window.adl.trackPaymentFailed = function(payment) {
+    try {
+      if (!payment || !payment.orderID || !payment.reason) {
+        console.error('ADL: trackPaymentFailed requires payment with orderID and reason');
+        return;
+      }
+
+      const eventObject = {
+        event: "paymentFailed",
+        custData: window.adl.buildCustData(),
+        xdmCommerce: {
+          payment: buildPayment(payment)
+        }
+      };
+
+      window.adobeDataLayer.push(eventObject);
+      console.log('ADL: paymentFailed event fired:', payment.orderID, payment.reason);
+
+    } catch (e) {
+      console.error('ADL: Error tracking payment failure', e);
+    }
+  };
+
+  // ============================================================================
+  // PURCHASE DE-DUPLICATION
+  // ============================================================================
+
+  /**
+   * Configure how replays of an already reported order are handled
+   * @param {Object} config - { ttl (ms an orderID is remembered), onDuplicate: 'flag' | 'suppress' }
+   * @returns {Object} Active settings
+   */
+  window.adl.configurePurchaseDedup = function(config) {
+    purchaseDedup = Object.assign({}, DEFAULT_PURCHASE_DEDUP, config);
+    return Object.assign({}, purchaseDedup);
+  };
+
+  /**
+   * Reported orders still inside the TTL: { orderID: { reportedAt, replays, lastReplayAt } }
+   */
+  function readReportedOrders() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(REPORTED_ORDERS_KEY) || '{}') || {};
+      const cutoff = Date.now() - purchaseDedup.ttl;
+      const live = {};
+      Object.keys(stored).forEach(function(orderID) {
+        if (stored[orderID] && stored[orderID].reportedAt >= cutoff) live[orderID] = stored[orderID];
+      });
+      return live;
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function writeReportedOrders(reported) {
+    try {
+      localStorage.setItem(REPORTED_ORDERS_KEY, JSON.stringify(reported));
+    } catch (e) {
+      console.error('ADL: Error saving reported orders', e);
+    }
+  }
+
+  /**
+   * Push hook step, after consent: an scPurchase for an order already in the data layer
+   * (page refresh, or a second copy released from the consent queue) becomes
+   * scPurchaseDuplicate, or is dropped when onDuplicate is 'suppress'
+   * @param {Object} item - Item being pushed
+   * @returns {Object|null} Item to push, or null to push nothing
+   */
+  function dedupePurchase(item) {
+    if (!item || item.event !== 'scPurchase' || item.restored) return item;
+    const order = item.xdmCommerce && item.xdmCommerce.order;
+    const orderID = order && order.orderID;
+    const reported = orderID ? readReportedOrders() : {};
+    const previous = reported[orderID];
+    if (!previous) return item;
+
+    previous.replays = (previous.replays || 0) + 1;
+    previous.lastReplayAt = Date.now();
+    writeReportedOrders(reported);
+    if (purchaseDedup.onDuplicate === 'suppress') {
+      console.log('ADL: scPurchase suppressed, order already reported:', orderID);
+      return null;
+    }
+    console.log('ADL: scPurchase replay sent as scPurchaseDuplicate:', orderID);
+    return Object.assign({}, item, {
+      event: 'scPurchaseDuplicate',
+      duplicate: {
+        orderID: orderID,
+        firstReportedAt: new Date(previous.reportedAt).toISOString(),
+        replays: previous.replays
+      }
+    });
+  }
+
+  /**
+   * Push hook step, after the native push: remember the order of an scPurchase
+   * that made it into the data layer (not one still waiting for consent or
+   * blocked by strict privacy mode)
+   * @param {Object} item - Item just pushed
+   */
+  function recordPurchase(item) {
+    if (!item || item.event !== 'scPurchase' || item.restored) return;
+    const orderID = item.xdmCommerce && item.xdmCommerce.order && item.xdmCommerce.order.orderID;
+    if (!orderID) return;
+    const reported = readReportedOrders();
+    reported[orderID] = { reportedAt: Date.now(), replays: 0 };
+    writeReportedOrders(reported);
+  }
+
+  /**
+   * @param {string} orderID - Order id
+   * @returns {Object|null} { reportedAt, replays, lastReplayAt } when the order was already sent as scPurchase
+   */
+  window.adl.getReportedOrder = function(orderID) {
+    return readReportedOrders()[String(orderID)] || null;
+  };
+
+  /**
+   * @returns {Object} Every reported order inside the TTL: { orderID: { reportedAt, replays, lastReplayAt } }
+   */
+  window.adl.getReportedOrders = function() {
+    return readReportedOrders();
+  };
+
   // ============================================================================
   // PURCHASE EVENT (scPurchase)
   // ============================================================================
 
   /**
-   * Track purchase completion event
+   * Track purchase completion event. Each orderID is reported once (see
+   * configurePurchaseDedup); replays are suppressed or sent as scPurchaseDuplicate
+   * when they reach the data layer.
    * @param {Object} order - Order object with full details
    */
   window.adl.trackPurchase = function(order) {
@@ -499,37 +1653,28 @@
         return;
       }
 
+      // The buyer is known from here on (hashed email as customerID)
+      if (order.email && window.veloraIdentity) window.veloraIdentity.identify(order.email);
       const custData = window.adl.buildCustData();
-      // Use customer email as customerID if available
-      custData.customerID = order.customerEmail || order.email || custData.customerID;
+      const currencyCode = window.adl.getCurrency(order);
 
       const eventObject = {
         event: "scPurchase",
         custData: custData,
         xdmCommerce: {
-          order: {
+          order: addReportingValues({
             orderID: order.orderID,
             totalQuantity: order.totalQuantity || 0,
             subtotal: order.subtotal || 0,
+            discount: order.discount || 0,
             shipping: order.shipping || 0,
             tax: order.tax || 0,
             totalValue: order.totalValue || 0,
             paymentMethod: order.paymentMethod || "credit_card",
-            currencyCode: "USD",
-            products: (order.products || []).map(function(p) {
-              return {
-                sku: p.sku || '',
-                productID: p.productID,
-                productName: p.productName,
-                brand: p.brand || 'velora',
-                category: p.category || '',
-                price: p.price || 0,
-                color: p.color || '',
-                size: p.size || '',
-                quantity: p.quantity || 1,
-                currencyCode: "USD"
-              };
-            }),
+            currencyCode: currencyCode,
+            couponCodes: order.couponCodes || [],
+            products: (order.products || []).map(buildCommerceProduct),
+            // Hashed/dropped/truncated on push by the privacy rules (see PII REDACTION)
             shippingAddress: {
               firstName: order.firstName || '',
               lastName: order.lastName || '',
@@ -539,10 +1684,18 @@
               state: order.state || '',
               zipCode: order.zipCode || ''
             }
-          }
+          }, {
+            subtotal: order.subtotal || 0,
+            discount: order.discount || 0,
+            shipping: order.shipping || 0,
+            tax: order.tax || 0,
+            totalValue: order.totalValue || 0
+          }, currencyCode)
         }
       };
 
+      // Replays are flagged or suppressed by the push hook (dedupePurchase), and the
+      // order only counts as reported once its scPurchase is actually pushed
       window.adobeDataLayer.push(eventObject);
       console.log('ADL: scPurchase event fired:', order.orderID);
 
@@ -583,5 +1736,8 @@
     });
   };
 
+  // Restore previous pages' events before any pageLoaded is pushed
+  window.adl.init();
+
   console.log('ADL: velora Apparel Data Layer utilities initialized');
 })();
@@ -2,204 +2,784 @@
  * ADL Validation Utility
  * Purpose: Validate consistent pageLoad implementation across all pages
  * Ensures single pageLoad event per page with proper XDM structure
+ *
+ * adlValidation.report() returns every finding as data (rule id, severity,
+ * event index, path, expected vs actual) for CI and tests; the validate*
+ * methods and runAllValidations() log the same findings to the console.
+ * With configure({ strict: 'throw' | 'event' }) failures throw an
+ * AdlValidationError or push a validationFailed event. The console run after
+ * page load can be switched off with configure({ autoRun: false }).
  */
 (function (window) {
   'use strict';
 
-  // Validation utility
-  window.adlValidation = {
-    
-    /**
-     * Validate that only one pageLoad event exists and has proper structure
-     */
-    validatePageLoad: function() {
-      if (!window.adobeDataLayer) {
-        console.error('❌ ADL Validation: adobeDataLayer not initialized');
-        return false;
-      }
+  // ============================================================================
+  // Event Schemas
+  // ============================================================================
+  // Each schema is a list of field rules keyed by dot path. A "[]" segment
+  // applies the rule to every element of that array.
+  // Rule options: type, required, nonEmpty, enum (array, or a function returning
+  // one when the allowed values are only known at validation time), pattern
+
+  const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+  const CONSENT_STATUSES = ['pending', 'granted', 'denied'];
+
+  function custDataFields(base) {
+    return [
+      { path: base, type: 'object', required: true },
+      { path: base + '.customerID', type: 'string', required: true, pattern: /^([0-9a-f]{64})?$/ },
+      { path: base + '.visitorID', type: 'string' },
+      { path: base + '.consent', type: 'object' },
+      { path: base + '.consent.analytics', type: 'string', enum: CONSENT_STATUSES },
+      { path: base + '.consent.marketing', type: 'string', enum: CONSENT_STATUSES },
+      { path: base + '.consent.personalization', type: 'string', enum: CONSENT_STATUSES },
+      { path: base + '.lang', type: 'string', required: true, enum: ['english', 'hindi'] },
+      { path: base + '.loginStatus', type: 'string', required: true, enum: ['guest', 'logged-in'] },
+      { path: base + '.platform', type: 'string', required: true, enum: ['desktop website', 'mobile website'] }
+    ];
+  }
+
+  function productFields(base) {
+    return [
+      { path: base + '.sku', type: 'string' },
+      { path: base + '.productID', type: 'string', required: true, nonEmpty: true },
+      { path: base + '.productName', type: 'string', required: true, nonEmpty: true },
+      { path: base + '.brand', type: 'string', required: true },
+      { path: base + '.category', type: 'string' },
+      { path: base + '.color', type: 'string' },
+      { path: base + '.size', type: 'string' },
+      { path: base + '.price', type: 'number', required: true },
+      { path: base + '.quantity', type: 'number', required: true },
+      { path: base + '.currencyCode', type: 'string', pattern: CURRENCY_PATTERN }
+    ];
+  }
+
+  function cartTotalsFields(base) {
+    return [
+      { path: base, type: 'object', required: true },
+      { path: base + '.totalQuantity', type: 'number', required: true },
+      { path: base + '.totalValue', type: 'number', required: true },
+      { path: base + '.currencyCode', type: 'string', required: true, pattern: CURRENCY_PATTERN },
+      { path: base + '.subtotal', type: 'number' },
+      { path: base + '.discount', type: 'number' },
+      { path: base + '.shipping', type: 'number' },
+      { path: base + '.tax', type: 'number' }
+    ];
+  }
+
+  function paymentFields(base) {
+    return [
+      { path: base, type: 'object', required: true },
+      { path: base + '.orderID', type: 'string', required: true, nonEmpty: true },
+      { path: base + '.provider', type: 'string', required: true, nonEmpty: true },
+      { path: base + '.paymentMethod', type: 'string', required: true, nonEmpty: true },
+      { path: base + '.amount', type: 'number', required: true },
+      { path: base + '.currencyCode', type: 'string', required: true, pattern: CURRENCY_PATTERN }
+    ];
+  }
+
+  // Page types and checkout steps are read when a rule runs, so a route table
+  // or checkout flow configured after this file loads is what gets checked
+  function pageTypes() {
+    if (!window.adl || typeof window.adl.getRoutes !== 'function') return ['home', 'category', 'pdp', 'cart', 'checkout', 'thankyou', 'error'];
+    return window.adl.getRoutes().map(function(route) { return route.pageType; }).filter(function(type, i, all) { return all.indexOf(type) === i; });
+  }
+  const COUPON_TYPES = ['percent', 'fixed', 'free_shipping'];
+  const FORM_ERROR_CODES = ['required', 'invalid_format', 'invalid_length', 'failed_checksum', 'expired'];
+  const PAYMENT_FAILURE_REASONS = ['declined', 'insufficient_funds', 'timeout', 'provider_error'];
+  function checkoutSteps() {
+    if (!window.veloraCheckout) return ['shipping', 'payment', 'review'];
+    return window.veloraCheckout.steps.map(function(s) { return s.name; });
+  }
+  const LINK_TYPES = ['nav', 'navigation', 'cta', 'banner', 'card', 'footer', 'button', 'link', 'removeFromCart'];
+
+  const SCHEMAS = {
+    pageLoaded: [
+      { path: 'xdmPageLoad', type: 'object', required: true },
+      { path: 'xdmPageLoad.web', type: 'object', required: true },
+      { path: 'xdmPageLoad.web.webPageDetails', type: 'object', required: true },
+      { path: 'xdmPageLoad.web.webPageDetails.brand', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmPageLoad.web.webPageDetails.channel', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmPageLoad.web.webPageDetails.pageName', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmPageLoad.web.webPageDetails.pageType', type: 'string', required: true, nonEmpty: true, enum: pageTypes },
+      { path: 'xdmPageLoad.web.webPageDetails.pageUrl', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmPageLoad.web.productDetails', type: 'array' }
+    ].concat(custDataFields('xdmPageLoad.custData'), productFields('xdmPageLoad.web.productDetails[]')),
+
+    linkClicked: custDataFields('custData').concat([
+      { path: 'xdmActionDetails.web.webInteraction', type: 'object', required: true },
+      { path: 'xdmActionDetails.web.webInteraction.brand', type: 'string', required: true },
+      { path: 'xdmActionDetails.web.webInteraction.channel', type: 'string', required: true },
+      { path: 'xdmActionDetails.web.webInteraction.linkName', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmActionDetails.web.webInteraction.linkType', type: 'string', required: true, enum: LINK_TYPES },
+      { path: 'xdmActionDetails.web.webInteraction.linkPosition', type: 'string', required: true },
+      { path: 'xdmActionDetails.web.webInteraction.linkPageName', type: 'string', required: true, nonEmpty: true }
+    ]),
+
+    addToCart: custDataFields('custData').concat(
+      [{ path: 'xdmCommerce.product', type: 'object', required: true }],
+      productFields('xdmCommerce.product')
+    ),
+
+    removeFromCart: custDataFields('custData').concat(
+      [{ path: 'xdmCommerce.product', type: 'object', required: true }],
+      productFields('xdmCommerce.product')
+    ),
+
+    scView: custDataFields('custData').concat(
+      cartTotalsFields('xdmCommerce.cart'),
+      [{ path: 'xdmCommerce.cart.products', type: 'array', required: true }],
+      productFields('xdmCommerce.cart.products[]')
+    ),
+
+    beginCheckout: custDataFields('custData').concat(
+      cartTotalsFields('xdmCommerce.checkout')
+    ),
+
+    scCheckout: custDataFields('custData').concat(
+      cartTotalsFields('xdmCommerce.checkout'),
+      [
+        { path: 'xdmCommerce.checkout.checkoutStep', type: 'string', required: true, enum: checkoutSteps },
+        { path: 'xdmCommerce.checkout.checkoutStepNumber', type: 'number', required: true },
+        { path: 'xdmCommerce.checkout.products', type: 'array', required: true }
+      ],
+      productFields('xdmCommerce.checkout.products[]')
+    ),
+
+    couponApplied: custDataFields('custData').concat([
+      { path: 'xdmCommerce.coupon', type: 'object', required: true },
+      { path: 'xdmCommerce.coupon.code', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmCommerce.coupon.type', type: 'string', required: true, enum: COUPON_TYPES },
+      { path: 'xdmCommerce.coupon.discountAmount', type: 'number', required: true },
+      { path: 'xdmCommerce.coupon.currencyCode', type: 'string', required: true, pattern: CURRENCY_PATTERN }
+    ]),
+
+    formError: custDataFields('custData').concat([
+      { path: 'xdmActionDetails.web.formError', type: 'object', required: true },
+      { path: 'xdmActionDetails.web.formError.formName', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmActionDetails.web.formError.fieldName', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmActionDetails.web.formError.errorCode', type: 'string', required: true, enum: FORM_ERROR_CODES },
+      { path: 'xdmActionDetails.web.formError.pageName', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmActionDetails.web.formError.checkoutStep', type: 'string', enum: checkoutSteps }
+    ]),
 
-      const pageLoadEvents = window.adobeDataLayer.filter(function(event) {
-        return event && event.event === 'pageLoaded';
+    paymentAttempt: custDataFields('custData').concat(paymentFields('xdmCommerce.payment')),
+
+    paymentFailed: custDataFields('custData').concat(
+      paymentFields('xdmCommerce.payment'),
+      [
+        { path: 'xdmCommerce.payment.reason', type: 'string', required: true, enum: PAYMENT_FAILURE_REASONS },
+        { path: 'xdmCommerce.payment.providerReason', type: 'string' }
+      ]
+    ),
+
+    consentChanged: custDataFields('custData').concat([
+      { path: 'xdmConsent.categories', type: 'object', required: true },
+      { path: 'xdmConsent.categories.analytics', type: 'string', required: true, enum: CONSENT_STATUSES },
+      { path: 'xdmConsent.categories.marketing', type: 'string', required: true, enum: CONSENT_STATUSES },
+      { path: 'xdmConsent.categories.personalization', type: 'string', required: true, enum: CONSENT_STATUSES },
+      { path: 'xdmConsent.source', type: 'string', required: true, nonEmpty: true }
+    ]),
+
+    couponRejected: custDataFields('custData').concat([
+      { path: 'xdmCommerce.coupon', type: 'object', required: true },
+      { path: 'xdmCommerce.coupon.code', type: 'string', required: true },
+      { path: 'xdmCommerce.coupon.reason', type: 'string', required: true, nonEmpty: true }
+    ]),
+
+    scPurchase: custDataFields('custData').concat([
+      { path: 'xdmCommerce.order', type: 'object', required: true },
+      { path: 'xdmCommerce.order.orderID', type: 'string', required: true, nonEmpty: true },
+      { path: 'xdmCommerce.order.totalQuantity', type: 'number', required: true },
+      { path: 'xdmCommerce.order.subtotal', type: 'number', required: true },
+      { path: 'xdmCommerce.order.discount', type: 'number' },
+      { path: 'xdmCommerce.order.shipping', type: 'number', required: true },
+      { path: 'xdmCommerce.order.tax', type: 'number', required: true },
+      { path: 'xdmCommerce.order.totalValue', type: 'number', required: true },
+      { path: 'xdmCommerce.order.paymentMethod', type: 'string', required: true },
+      { path: 'xdmCommerce.order.currencyCode', type: 'string', required: true, pattern: CURRENCY_PATTERN },
+      { path: 'xdmCommerce.order.couponCodes', type: 'array' },
+      { path: 'xdmCommerce.order.products', type: 'array', required: true },
+      { path: 'xdmCommerce.order.shippingAddress', type: 'object' }
+    ], productFields('xdmCommerce.order.products[]'))
+  };
+
+  // Flagged replay of a reported order: the scPurchase payload plus what it duplicates
+  SCHEMAS.scPurchaseDuplicate = SCHEMAS.scPurchase.concat([
+    { path: 'duplicate', type: 'object', required: true },
+    { path: 'duplicate.orderID', type: 'string', required: true, nonEmpty: true },
+    { path: 'duplicate.firstReportedAt', type: 'string', required: true, nonEmpty: true }
+  ]);
+
+  // Strict-mode report of failing checks (see failLoudly); a debugging event, so no custData
+  SCHEMAS.validationFailed = [
+    { path: 'validation', type: 'object', required: true },
+    { path: 'validation.source', type: 'string', required: true, enum: ['push', 'run'] },
+    { path: 'validation.page', type: 'string', required: true, nonEmpty: true },
+    { path: 'validation.errorCount', type: 'number', required: true },
+    { path: 'validation.results', type: 'array', required: true },
+    { path: 'validation.results[].ruleId', type: 'string', required: true, nonEmpty: true },
+    { path: 'validation.results[].severity', type: 'string', required: true, enum: ['error', 'warning'] }
+  ];
+
+  // Results of validating each push as it happened
+  const pushResults = [];
+
+  // Replays suppressed by adl-utils.js after this time happened on this page
+  const PAGE_START = Date.now();
+
+  function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+  }
+
+  /**
+   * Resolve a schema path against an object, expanding "[]" segments
+   * @returns {Array} Entries of { path, value } with concrete indexes
+   */
+  function resolvePath(obj, path) {
+    let entries = [{ path: '', value: obj }];
+    path.split('.').forEach(function(segment) {
+      const isEach = segment.slice(-2) === '[]';
+      const key = isEach ? segment.slice(0, -2) : segment;
+      const next = [];
+      entries.forEach(function(entry) {
+        const base = entry.path ? entry.path + '.' + key : key;
+        const value = (entry.value !== null && typeof entry.value === 'object') ? entry.value[key] : undefined;
+        if (!isEach) {
+          next.push({ path: base, value: value, parentMissing: entry.value === undefined || entry.parentMissing });
+        } else if (Array.isArray(value)) {
+          value.forEach(function(item, i) {
+            next.push({ path: base + '[' + i + ']', value: item });
+          });
+        }
       });
+      entries = next;
+    });
+    return entries;
+  }
 
-      if (pageLoadEvents.length === 0) {
-        console.error('❌ ADL Validation: No pageLoaded event found');
-        return false;
-      }
+  function checkRule(rule, entry) {
+    const value = entry.value;
+    const missing = value === undefined || value === null;
 
-      if (pageLoadEvents.length > 1) {
-        console.error('❌ ADL Validation: Multiple pageLoaded events found:', pageLoadEvents.length);
-        console.error('❌ ADL Validation: Events:', pageLoadEvents);
-        return false;
-      }
+    if (missing) {
+      return rule.required ? { rule: 'required', path: entry.path, expected: rule.type, actual: typeOf(value) } : null;
+    }
+    if (rule.type && typeOf(value) !== rule.type) {
+      return { rule: 'type', path: entry.path, expected: rule.type, actual: typeOf(value) };
+    }
+    if (rule.nonEmpty && value === '') {
+      return { rule: 'nonEmpty', path: entry.path, expected: 'non-empty ' + rule.type, actual: value };
+    }
+    const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+    if (allowed && allowed.indexOf(value) === -1) {
+      return { rule: 'enum', path: entry.path, expected: allowed.slice(0), actual: value };
+    }
+    if (rule.pattern && typeof value === 'string' && !rule.pattern.test(value)) {
+      return { rule: 'pattern', path: entry.path, expected: String(rule.pattern), actual: value };
+    }
+    return null;
+  }
 
-      const pageLoadEvent = pageLoadEvents[0];
-      
-      // Check required structure
-      if (!pageLoadEvent.xdmPageLoad) {
-        console.error('❌ ADL Validation: xdmPageLoad missing from pageLoaded event');
-        return false;
-      }
+  // ============================================================================
+  // Configuration & Reports
+  // ============================================================================
+  // Every check returns results of the form
+  //   { ruleId, severity: 'error' | 'warning', check, message, event, eventIndex, path, expected, actual }
+  // A check passes when none of its results is an error. Warnings are things
+  // that can be legitimate (an empty cart has no product details).
 
-      if (!pageLoadEvent.xdmPageLoad.web) {
-        console.error('❌ ADL Validation: xdmPageLoad.web missing');
-        return false;
-      }
+  const DEFAULT_VALIDATION_CONFIG = {
+    strict: false,        // false | 'event' (push validationFailed) | 'throw' (throw an AdlValidationError)
+    autoRun: true,        // run all checks once the page has loaded
+    autoRunDelay: 1000,   // ms after DOMContentLoaded, so late scripts have pushed
+    debug: true           // print debugCurrentPage() after the auto-run
+  };
+  const STRICT_MODES = [false, 'event', 'throw'];
 
-      if (!pageLoadEvent.xdmPageLoad.web.webPageDetails) {
-        console.error('❌ ADL Validation: xdmPageLoad.web.webPageDetails missing');
-        return false;
-      }
+  // Also settable on the script tag: <script src="adl-validation.js" data-strict="throw" data-auto-run="false">
+  function configFromScript(script) {
+    const config = {};
+    if (!script || typeof script.getAttribute !== 'function') return config;
+    const strict = script.getAttribute('data-strict');
+    const autoRun = script.getAttribute('data-auto-run');
+    if (strict) config.strict = strict === 'false' ? false : strict;
+    if (autoRun) config.autoRun = autoRun !== 'false';
+    return config;
+  }
 
-      const webPageDetails = pageLoadEvent.xdmPageLoad.web.webPageDetails;
-      const requiredFields = ['brand', 'channel', 'pageName', 'pageType', 'pageUrl'];
-      
-      for (let field of requiredFields) {
-        if (!webPageDetails[field]) {
-          console.error('❌ ADL Validation: webPageDetails.' + field + ' missing or empty');
-          return false;
+  const scriptConfig = configFromScript(document.currentScript);
+  let validationConfig = Object.assign({}, DEFAULT_VALIDATION_CONFIG, scriptConfig);
+
+  function result(check, ruleId, severity, message, details) {
+    const d = details || {};
+    return {
+      ruleId: ruleId,
+      severity: severity,
+      check: check,
+      message: message,
+      event: d.event === undefined ? null : d.event,
+      eventIndex: typeof d.eventIndex === 'number' ? d.eventIndex : null,
+      path: d.path || null,
+      expected: d.expected === undefined ? null : d.expected,
+      actual: d.actual === undefined ? null : d.actual
+    };
+  }
+
+  /**
+   * Report results for schema violations of one event
+   */
+  function violationResults(check, validation, eventIndex) {
+    return validation.violations.map(function(v) {
+      const ruleId = 'schema.' + v.rule;
+      return result(check, ruleId, 'error', validation.event + ' does not match its schema', {
+        event: validation.event, eventIndex: eventIndex, path: v.path, expected: v.expected, actual: v.actual
+      });
+    });
+  }
+
+  function hasErrors(results) {
+    return results.some(function(r) { return r.severity === 'error'; });
+  }
+
+  /**
+   * Log a check's results the way the console checks always have
+   * @returns {boolean} Whether the check passed
+   */
+  function logCheck(results, passMessage) {
+    results.forEach(function(r) {
+      const details = { ruleId: r.ruleId, event: r.event, eventIndex: r.eventIndex, path: r.path, expected: r.expected, actual: r.actual };
+      if (r.severity === 'error') console.error('❌ ADL Validation: ' + r.message, details);
+      else console.warn('⚠ ADL Validation: ' + r.message, details);
+    });
+    const passed = !hasErrors(results);
+    if (passed) console.log('✅ ADL Validation: ' + passMessage);
+    return passed;
+  }
+
+  // This page's pageLoaded entries (a consent replay is the previous page's, released here)
+  function pageLoadEntries() {
+    const entries = [];
+    (window.adobeDataLayer || []).forEach(function(event, index) {
+      if (event && event.event === 'pageLoaded' && !event.consentReplay) entries.push({ index: index, event: event });
+    });
+    return entries;
+  }
+
+  // Whether consent.js holds an event of this name until the shopper decides
+  function heldForConsent(eventName) {
+    if (!window.veloraConsent || typeof window.veloraConsent.getQueue !== 'function') return false;
+    return window.veloraConsent.getQueue().some(function(item) { return item && item.event === eventName; });
+  }
+
+  function currentPage() {
+    return window.location.pathname.split('/').pop() || 'index.html';
+  }
+
+  function createValidationError(results, source) {
+    const errors = results.filter(function(r) { return r.severity === 'error'; });
+    const error = new Error('ADL Validation failed (' + source + '): ' + errors.map(function(r) {
+      return r.ruleId + (r.path ? ' at ' + r.path : '') + (r.event ? ' in ' + r.event : '');
+    }).join(', '));
+    error.name = 'AdlValidationError';
+    error.results = errors;
+    return error;
+  }
+
+  /**
+   * Strict mode: make failures impossible to miss
+   * @param {Array} results - Results of the failing validation
+   * @param {string} source - 'push' (a push failed its schema) | 'run' (runAllValidations)
+   * @param {boolean} deferred - Report after the current call returns (inside the push pipeline)
+   */
+  function failLoudly(results, source, deferred) {
+    const mode = validationConfig.strict;
+    if (!mode || !hasErrors(results)) return;
+
+    const act = function() {
+      if (mode === 'throw') throw createValidationError(results, source);
+      const errors = results.filter(function(r) { return r.severity === 'error'; });
+      window.adobeDataLayer.push({
+        event: 'validationFailed',
+        validation: {
+          source: source,
+          page: currentPage(),
+          errorCount: errors.length,
+          results: errors.slice(0, 20)
         }
-      }
+      });
+    };
+    // A throw from inside adobeDataLayer.push would be caught by the push hook,
+    // and a push from inside it would jump ahead of the event being pushed
+    if (deferred) setTimeout(act, 0);
+    else act();
+  }
 
-      console.log('✅ ADL Validation: pageLoad structure is valid');
-      return true;
-    },
+  // ============================================================================
+  // Checks
+  // ============================================================================
 
-    /**
-     * Validate product details structure consistency
-     */
-    validateProductDetails: function() {
-      if (!window.adobeDataLayer) return false;
+  function checkPageLoad() {
+    if (!window.adobeDataLayer) {
+      return [result('pageLoad', 'dataLayer.missing', 'error', 'adobeDataLayer not initialized', { expected: 'array', actual: 'undefined' })];
+    }
 
-      const pageLoadEvents = window.adobeDataLayer.filter(function(event) {
-        return event && event.event === 'pageLoaded';
+    const pageLoads = pageLoadEntries();
+    if (pageLoads.length === 0 && heldForConsent('pageLoaded')) {
+      return [result('pageLoad', 'pageLoad.heldForConsent', 'warning', 'pageLoaded is waiting for the shopper\'s consent decision', { event: 'pageLoaded', expected: 1, actual: 0 })];
+    }
+    if (pageLoads.length === 0) {
+      return [result('pageLoad', 'pageLoad.missing', 'error', 'No pageLoaded event found', { event: 'pageLoaded', expected: 1, actual: 0 })];
+    }
+    if (pageLoads.length > 1) {
+      return pageLoads.slice(1).map(function(entry) {
+        return result('pageLoad', 'pageLoad.multiple', 'error', 'Multiple pageLoaded events found', {
+          event: 'pageLoaded', eventIndex: entry.index, expected: 1, actual: pageLoads.length
+        });
       });
+    }
 
-      if (pageLoadEvents.length === 0) return false;
+    return violationResults('pageLoad', window.adlValidation.validateEvent(pageLoads[0].event), pageLoads[0].index);
+  }
 
-      const pageLoadEvent = pageLoadEvents[0];
-      
-      // Get current page type and name
-      const pageType = pageLoadEvent.xdmPageLoad && 
-                       pageLoadEvent.xdmPageLoad.web && 
-                       pageLoadEvent.xdmPageLoad.web.webPageDetails &&
-                       pageLoadEvent.xdmPageLoad.web.webPageDetails.pageType;
-      
-      const pageName = pageLoadEvent.xdmPageLoad && 
-                       pageLoadEvent.xdmPageLoad.web && 
-                       pageLoadEvent.xdmPageLoad.web.webPageDetails &&
-                       pageLoadEvent.xdmPageLoad.web.webPageDetails.pageName;
-      
-      // Product details should ONLY exist on: pdp, cart, checkout (but NOT payment), thankyou
-      // NOT on: home, plp, payment
-      const shouldHaveProducts = ['pdp', 'cart', 'thankyou'].includes(pageType) || 
-                                 (pageType === 'checkout' && pageName === 'checkout');
-      const hasProducts = pageLoadEvent.xdmPageLoad && 
-                         pageLoadEvent.xdmPageLoad.web && 
-                         pageLoadEvent.xdmPageLoad.web.productDetails &&
-                         Array.isArray(pageLoadEvent.xdmPageLoad.web.productDetails) &&
-                         pageLoadEvent.xdmPageLoad.web.productDetails.length > 0;
-      
-      if (shouldHaveProducts && !hasProducts) {
-        console.warn('⚠ ADL Validation: Page type "' + pageType + '" should have product details but none found');
-        return false;
+  function checkProductDetails() {
+    const pageLoads = pageLoadEntries();
+    if (pageLoads.length === 0) return []; // checkPageLoad reports the missing pageLoaded
+
+    const entry = pageLoads[0];
+    const web = (entry.event.xdmPageLoad && entry.event.xdmPageLoad.web) || {};
+    const pageType = web.webPageDetails && web.webPageDetails.pageType;
+    const pageName = web.webPageDetails && web.webPageDetails.pageName;
+    const base = { event: 'pageLoaded', eventIndex: entry.index, path: 'xdmPageLoad.web.productDetails' };
+
+    // Product details should ONLY exist on: pdp, cart, checkout (but NOT payment), thankyou
+    // NOT on: home, plp, payment
+    const shouldHaveProducts = ['pdp', 'cart', 'thankyou'].includes(pageType) ||
+                               (pageType === 'checkout' && pageName === 'checkout');
+    const products = Array.isArray(web.productDetails) ? web.productDetails : [];
+
+    if (shouldHaveProducts && !products.length) {
+      return [result('productDetails', 'productDetails.missing', 'warning',
+        'Page type "' + pageType + '" should have product details but none found',
+        Object.assign({ expected: 'non-empty array', actual: typeOf(web.productDetails) === 'array' ? 'empty array' : typeOf(web.productDetails) }, base))];
+    }
+    if (!shouldHaveProducts && products.length) {
+      return [result('productDetails', 'productDetails.unexpected', 'warning',
+        'Page type "' + pageType + '" should NOT have product details but found: ' + products.length,
+        Object.assign({ expected: 'no product details', actual: products.length + ' products' }, base))];
+    }
+
+    const results = [];
+    const requiredProductFields = ['productID', 'productName', 'brand', 'price'];
+    products.forEach(function(product, i) {
+      requiredProductFields.forEach(function(field) {
+        if (product[field] === undefined || product[field] === null) {
+          results.push(result('productDetails', 'productDetails.field', 'warning', 'Product missing field: ' + field, {
+            event: 'pageLoaded', eventIndex: entry.index, path: base.path + '[' + i + '].' + field, expected: 'present', actual: typeOf(product[field])
+          }));
+        }
+      });
+    });
+    return results;
+  }
+
+  function checkXDMConsistency() {
+    if (!window.adlXDM || typeof window.adlXDM.getUnifiedXDM !== 'function') {
+      return [result('xdmConsistency', 'xdm.normalizerMissing', 'error', 'XDM normalizer not available', { expected: 'adlXDM.getUnifiedXDM', actual: 'undefined' })];
+    }
+
+    try {
+      // getUnifiedXDM() returns { xdm, custData }
+      const unified = window.adlXDM.getUnifiedXDM();
+      const xdm = unified && unified.xdm;
+      const details = xdm && xdm.web && xdm.web.webPageDetails;
+
+      if (!details || !details.pageName) {
+        return [result('xdmConsistency', 'xdm.webPageDetails', 'error', 'Unified XDM missing webPageDetails', {
+          path: 'xdm.web.webPageDetails.pageName', expected: 'non-empty string', actual: details ? typeOf(details.pageName) : typeOf(details)
+        })];
       }
-      
-      if (!shouldHaveProducts && hasProducts) {
-        console.warn('⚠ ADL Validation: Page type "' + pageType + '" should NOT have product details but found:', pageLoadEvent.xdmPageLoad.web.productDetails.length);
-        return false;
+
+      const results = [];
+      if (!xdm.commerce || !Array.isArray(xdm.commerce.productListItems)) {
+        results.push(result('xdmConsistency', 'xdm.productListItems', 'warning', 'Unified XDM missing commerce.productListItems array', {
+          path: 'xdm.commerce.productListItems', expected: 'array', actual: typeOf(xdm.commerce && xdm.commerce.productListItems)
+        }));
       }
-      
-      if (hasProducts) {
-        const products = pageLoadEvent.xdmPageLoad.web.productDetails;
-        const requiredProductFields = ['productID', 'productName', 'brand', 'price'];
-        
-        for (let product of products) {
-          for (let field of requiredProductFields) {
-            if (product[field] === undefined || product[field] === null) {
-              console.warn('⚠ ADL Validation: Product missing field:', field, product);
-            }
-          }
-        }
-        
-        console.log('✅ ADL Validation: Product details valid for page type "' + pageType + '", count:', products.length);
-        return true;
+
+      const pageLoad = pageLoadEntries()[0];
+      const loadedName = pageLoad && pageLoad.event.xdmPageLoad && pageLoad.event.xdmPageLoad.web &&
+                         pageLoad.event.xdmPageLoad.web.webPageDetails && pageLoad.event.xdmPageLoad.web.webPageDetails.pageName;
+      if (loadedName && loadedName !== details.pageName) {
+        results.push(result('xdmConsistency', 'xdm.pageName', 'warning', 'Unified XDM pageName differs from pageLoaded', {
+          event: 'pageLoaded', eventIndex: pageLoad.index, path: 'xdm.web.webPageDetails.pageName', expected: loadedName, actual: details.pageName
+        }));
+      }
+      return results;
+    } catch (e) {
+      return [result('xdmConsistency', 'xdm.error', 'error', 'Error validating XDM consistency: ' + e.message, { expected: 'no error', actual: String(e) })];
+    }
+  }
+
+  function checkNoDuplicates() {
+    if (!window.adobeDataLayer) return [];
+    const pageLoads = pageLoadEntries();
+    return pageLoads.slice(1).map(function(entry) {
+      return result('noDuplicates', 'duplicates.pageLoaded', 'error', 'Duplicate pageLoaded events detected', {
+        event: 'pageLoaded', eventIndex: entry.index, expected: 1, actual: pageLoads.length
+      });
+    });
+  }
+
+  /**
+   * Replays of orders already reported (adl-utils.js purchase de-duplication):
+   * scPurchaseDuplicate pushes, and replays suppressed on this page, which only
+   * show in the reported-order store
+   */
+  function checkPurchases() {
+    const results = [];
+    const flagged = [];
+    (window.adobeDataLayer || []).forEach(function(event, index) {
+      if (!event || event.restored || event.event !== 'scPurchaseDuplicate') return;
+      const duplicate = event.duplicate || {};
+      flagged.push(duplicate.orderID);
+      results.push(result('purchases', 'purchase.duplicateOrder', 'warning', 'Order already reported, replay sent as scPurchaseDuplicate', {
+        event: event.event, eventIndex: index, path: 'duplicate.orderID', expected: 'orderID not reported before',
+        actual: duplicate.orderID + ' (first reported ' + duplicate.firstReportedAt + ', replay ' + duplicate.replays + ')'
+      }));
+    });
+
+    if (window.adl && typeof window.adl.getReportedOrders === 'function') {
+      const reported = window.adl.getReportedOrders();
+      Object.keys(reported).forEach(function(orderID) {
+        const order = reported[orderID];
+        if (flagged.indexOf(orderID) !== -1 || !(order.lastReplayAt >= PAGE_START)) return;
+        results.push(result('purchases', 'purchase.duplicateOrder', 'warning', 'Order already reported, replay suppressed', {
+          event: 'scPurchase', path: 'xdmCommerce.order.orderID', expected: 'orderID not reported before',
+          actual: orderID + ' (first reported ' + new Date(order.reportedAt).toISOString() + ', replay ' + order.replays + ')'
+        }));
+      });
+    }
+    return results;
+  }
+
+  function checkSchemas() {
+    if (!window.adobeDataLayer) return [];
+    let results = [];
+    window.adobeDataLayer.forEach(function(event, index) {
+      if (!event || event.restored) return;
+      const validation = window.adlValidation.validateEvent(event);
+      if (!validation.valid) results = results.concat(violationResults('schemas', validation, index));
+    });
+    return results;
+  }
+
+  // Check name -> [check, message when it passes]; the keys of runAllValidations()
+  const CHECKS = {
+    pageLoad: [checkPageLoad, 'pageLoad structure is valid'],
+    productDetails: [checkProductDetails, 'Product details valid for this page type'],
+    xdmConsistency: [checkXDMConsistency, 'XDM normalizer structure consistent'],
+    noDuplicates: [checkNoDuplicates, 'No duplicate pageLoad events detected'],
+    purchases: [checkPurchases, 'No duplicate purchases detected'],
+    schemas: [checkSchemas, 'All events match their schemas']
+  };
+
+  function runCheck(name, log) {
+    const results = CHECKS[name][0]();
+    return log ? logCheck(results, CHECKS[name][1]) : !hasErrors(results);
+  }
+
+  // Validation utility
+  window.adlValidation = {
+
+    /**
+     * Registered event schemas, keyed by event name
+     */
+    schemas: SCHEMAS,
+
+    /**
+     * Override validation settings (merged into the defaults and the script tag's data-* settings)
+     * @param {Object} config - { strict: false | 'event' | 'throw' (true = 'throw'), autoRun, autoRunDelay (ms), debug }
+     * @returns {Object} Active settings
+     */
+    configure: function(config) {
+      const next = Object.assign({}, DEFAULT_VALIDATION_CONFIG, scriptConfig, config);
+      if (next.strict === true) next.strict = 'throw';
+      if (STRICT_MODES.indexOf(next.strict) === -1) {
+        console.error('ADL Validation: strict must be one of false, "event", "throw"');
+        next.strict = false;
       }
+      validationConfig = next;
+      return Object.assign({}, validationConfig);
+    },
 
-      console.log('✅ ADL Validation: No product details (correct for page type: "' + pageType + '")');
-      return true;
+    /**
+     * Register or replace the schema for an event
+     * @param {string} eventName - Event name, e.g. "couponApplied"
+     * @param {Array} fields - Field rules: { path, type, required, nonEmpty, enum, pattern }
+     */
+    registerSchema: function(eventName, fields) {
+      SCHEMAS[eventName] = fields || [];
     },
 
     /**
-     * Validate XDM path consistency across normalizer
+     * Get the schema for an event
+     * @param {string} eventName - Event name
+     * @returns {Array|null} Field rules or null when the event has no schema
      */
-    validateXDMConsistency: function() {
-      if (!window.adlXDM || typeof window.adlXDM.getUnifiedXDM !== 'function') {
-        console.error('❌ ADL Validation: XDM normalizer not available');
-        return false;
+    getSchema: function(eventName) {
+      return SCHEMAS[eventName] || null;
+    },
+
+    /**
+     * Validate a single event against its schema
+     * @param {Object} eventObject - Data layer entry
+     * @returns {Object} { event, valid, violations: [{ rule, path, expected, actual }] }
+     */
+    validateEvent: function(eventObject) {
+      const eventName = eventObject && eventObject.event;
+      const schema = eventName ? SCHEMAS[eventName] : null;
+      const violations = [];
+
+      if (schema) {
+        schema.forEach(function(rule) {
+          resolvePath(eventObject, rule.path).forEach(function(entry) {
+            // Only report the outermost missing object, not every field beneath it
+            if (entry.parentMissing) return;
+            const violation = checkRule(rule, entry);
+            if (violation) violations.push(violation);
+          });
+        });
       }
 
-      try {
-        const unifiedXDM = window.adlXDM.getUnifiedXDM();
-        
-        if (!unifiedXDM || !unifiedXDM.web || !unifiedXDM.web.webPageDetails) {
-          console.error('❌ ADL Validation: Unified XDM missing webPageDetails');
-          return false;
-        }
+      return {
+        event: eventName || null,
+        hasSchema: !!schema,
+        valid: violations.length === 0,
+        violations: violations
+      };
+    },
 
-        if (!unifiedXDM.commerce || !Array.isArray(unifiedXDM.commerce.productListItems)) {
-          console.warn('⚠ ADL Validation: Unified XDM missing commerce.productListItems array');
-        }
+    /**
+     * Validate an entry as it is pushed (called by the adl-utils.js push hook)
+     * Restored events were validated on the page that produced them.
+     * In strict mode a failing push throws or emits validationFailed right after the push.
+     * @param {Object} eventObject - Data layer entry
+     * @param {number} index - Position in adobeDataLayer
+     * @returns {Object|null} Validation result, or null when skipped
+     */
+    validatePush: function(eventObject, index) {
+      if (!eventObject || eventObject.restored) return null;
 
-        console.log('✅ ADL Validation: XDM normalizer structure consistent');
-        return true;
-      } catch (e) {
-        console.error('❌ ADL Validation: Error validating XDM consistency:', e);
-        return false;
+      const result = this.validateEvent(eventObject);
+      result.index = index;
+      pushResults.push(result);
+
+      if (!result.valid) {
+        console.warn('⚠ ADL Validation: ' + result.event + ' does not match its schema', result);
+        // validationFailed reporting its own failure would loop
+        if (result.event !== 'validationFailed') failLoudly(violationResults('push', result, index), 'push', true);
       }
+      return result;
     },
 
     /**
-     * Check for duplicate or legacy events
+     * Get the results recorded for every validated push
+     * @param {boolean} invalidOnly - Only return failing results
+     * @returns {Array} Validation results in push order
      */
-    validateNoDuplicates: function() {
-      if (!window.adobeDataLayer) return false;
+    getPushResults: function(invalidOnly) {
+      return pushResults.filter(function(result) {
+        return !invalidOnly || !result.valid;
+      });
+    },
 
-      const eventCounts = {};
-      const pageLoadEvents = [];
-      
-      window.adobeDataLayer.forEach(function(event, index) {
-        if (!event || !event.event) return;
-        
-        eventCounts[event.event] = (eventCounts[event.event] || 0) + 1;
-        
-        if (event.event === 'pageLoaded') {
-          pageLoadEvents.push({index: index, event: event});
-        }
+    /**
+     * Run every check without logging
+     * @returns {Object} { page, url, generatedAt, valid, strict, counts: { errors, warnings },
+     *   checks: { name: passed }, results: [{ ruleId, severity, check, message, event, eventIndex, path, expected, actual }] }
+     */
+    report: function() {
+      const checks = {};
+      let results = [];
+      Object.keys(CHECKS).forEach(function(name) {
+        const checkResults = CHECKS[name][0]();
+        checks[name] = !hasErrors(checkResults);
+        results = results.concat(checkResults);
       });
+      const errors = results.filter(function(r) { return r.severity === 'error'; }).length;
+      return {
+        page: currentPage(),
+        url: window.location.href,
+        generatedAt: new Date().toISOString(),
+        valid: errors === 0,
+        strict: validationConfig.strict,
+        counts: { errors: errors, warnings: results.length - errors },
+        checks: checks,
+        results: results
+      };
+    },
 
-      if (eventCounts['pageLoaded'] > 1) {
-        console.error('❌ ADL Validation: Duplicate pageLoaded events detected:', eventCounts['pageLoaded']);
-        console.error('❌ ADL Validation: Event details:', pageLoadEvents);
-        return false;
-      }
+    /**
+     * Validate every schema-backed event currently in the data layer
+     */
+    validateSchemas: function() {
+      return runCheck('schemas', true);
+    },
+
+    /**
+     * Validate that only one pageLoad event exists and has proper structure
+     */
+    validatePageLoad: function() {
+      return runCheck('pageLoad', true);
+    },
 
-      console.log('✅ ADL Validation: No duplicate pageLoad events detected');
-      return true;
+    /**
+     * Validate product details structure consistency
+     */
+    validateProductDetails: function() {
+      return runCheck('productDetails', true);
     },
 
     /**
-     * Run all validations
+     * Validate XDM path consistency across normalizer
+     */
+    validateXDMConsistency: function() {
+      return runCheck('xdmConsistency', true);
+    },
+
+    /**
+     * Check for duplicate or legacy events
+     */
+    validateNoDuplicates: function() {
+      return runCheck('noDuplicates', true);
+    },
+
+    /**
+     * Report replays of orders already reported, including in earlier sessions
+     * (scPurchaseDuplicate pushes and suppressed replays)
+     */
+    validatePurchases: function() {
+      return runCheck('purchases', true);
+    },
+
+    /**
+     * Run all validations, logging each check; in strict mode failures throw
+     * or emit validationFailed. Use report() for the results themselves.
+     * @returns {Object} { checkName: passed }
      */
     runAllValidations: function() {
       console.log('🔍 ADL Validation: Running comprehensive validation...');
-      
-      const results = {
-        pageLoad: this.validatePageLoad(),
-        productDetails: this.validateProductDetails(),
-        xdmConsistency: this.validateXDMConsistency(),
-        noDuplicates: this.validateNoDuplicates()
-      };
+
+      let all = [];
+      const results = {};
+      Object.keys(CHECKS).forEach(function(name) {
+        const checkResults = CHECKS[name][0]();
+        results[name] = logCheck(checkResults, CHECKS[name][1]);
+        all = all.concat(checkResults);
+      });
 
       const allPassed = Object.values(results).every(Boolean);
       
@@ -207,6 +787,7 @@
         console.log('✅ ADL Validation: All checks passed! Data layer is consistent.');
       } else {
         console.error('❌ ADL Validation: Some checks failed:', results);
+        failLoudly(all, 'run', false);
       }
 
       return results;
@@ -225,7 +806,7 @@
         const events = window.adobeDataLayer.map(function(e) { return e.event; }).filter(Boolean);
         console.log('- Events:', events);
         
-        const pageLoadEvent = window.adobeDataLayer.find(function(e) { return e && e.event === 'pageLoaded'; });
+        const pageLoadEvent = (pageLoadEntries()[0] || {}).event;
         if (pageLoadEvent && pageLoadEvent.xdmPageLoad && pageLoadEvent.xdmPageLoad.web && pageLoadEvent.xdmPageLoad.web.webPageDetails) {
           console.log('- Page Details:', pageLoadEvent.xdmPageLoad.web.webPageDetails);
           if (pageLoadEvent.xdmPageLoad.web.productDetails) {
@@ -244,19 +825,28 @@
     }
   };
 
-  // Auto-run validation after page load (with delay to ensure all scripts loaded)
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', function() {
-      setTimeout(function() {
-        window.adlValidation.runAllValidations();
-        window.adlValidation.debugCurrentPage();
-      }, 1000);
+  // Validate entries pushed before this script loaded; later pushes are
+  // validated by the adl-utils.js push hook as they happen
+  if (window.adobeDataLayer) {
+    window.adobeDataLayer.forEach(function(event, index) {
+      window.adlValidation.validatePush(event, index);
     });
-  } else {
+  }
+
+  // Auto-run validation after page load (with delay to ensure all scripts loaded);
+  // turn it off with adlValidation.configure({ autoRun: false }) or data-auto-run="false"
+  function autoRun() {
     setTimeout(function() {
+      if (!validationConfig.autoRun) return;
       window.adlValidation.runAllValidations();
-      window.adlValidation.debugCurrentPage();
-    }, 1000);
+      if (validationConfig.debug) window.adlValidation.debugCurrentPage();
+    }, validationConfig.autoRunDelay);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', autoRun);
+  } else {
+    autoRun();
   }
 
-})(window);
\ No newline at end of file
+})(window);
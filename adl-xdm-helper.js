@@ -11,15 +11,20 @@ window.adobeDataLayer = window.adobeDataLayer || [];
 
 /**
  * Helper function to get page type
- * @returns {string} Page type (home, plp, pdp, cart, checkout, thankyou)
+ * Delegates to the adl-utils.js route table so every module agrees.
+ * @returns {string} Page type (home, category, pdp, cart, checkout, thankyou, error)
  */
 function getPageType() {
-  const path = window.location.pathname || window.location.href;
-  if (path.includes('pdp.html') || path.includes('id=')) return 'pdp';
-  if (path.includes('plp.html')) return 'plp';
-  if (path.includes('cart.html')) return 'cart';
-  if (path.includes('checkout.html')) return 'checkout';
-  if (path.includes('thankyou.html')) return 'thankyou';
+  if (window.adl && typeof window.adl.resolvePage === 'function') return window.adl.resolvePage().pageType;
+  return 'home';
+}
+
+/**
+ * Helper function to get page name from the adl-utils.js route table
+ * @returns {string} Page name (home, plp, product:{productId}, cart, ...)
+ */
+function getPageName() {
+  if (window.adl && typeof window.adl.resolvePage === 'function') return window.adl.resolvePage().pageName;
   return 'home';
 }
 
@@ -30,8 +35,9 @@ function getPageType() {
 function buildCustDataLocal() {
   const ua = navigator.userAgent || '';
   const platform = (window.innerWidth && window.innerWidth <= 768) || /Mobi|Android/i.test(ua) ? 'mobile website' : 'desktop website';
-  const loginStatus = (window.user && window.user.isLoggedIn) ? 'logged-in' : 'guest';
-  const customerID = (window.user && window.user.id) ? String(window.user.id) : (window.customerID || '');
+  const identity = window.veloraIdentity ? window.veloraIdentity.get() : null;
+  const loginStatus = identity ? identity.loginStatus : ((window.user && window.user.isLoggedIn) ? 'logged-in' : 'guest');
+  const customerID = identity ? identity.customerID : ((window.user && window.user.id) ? String(window.user.id) : (window.customerID || ''));
   const lang = (document.documentElement && document.documentElement.lang)
     ? (document.documentElement.lang.toLowerCase().includes('hi') ? 'hindi' : 'english')
     : 'english';
@@ -142,7 +148,7 @@ function pushPageView(options = {}) {
   if (!window.adobeDataLayer) return;
 
   const pageType = options.pageType || getPageType();
-  const pageName = options.pageName || document.title || '';
+  const pageName = options.pageName || getPageName();
   const custData = (typeof window.adl !== 'undefined' && window.adl.get) ? (window.adl.get('custData') || buildCustDataLocal()) : buildCustDataLocal();
 
   const payload = {
@@ -153,7 +159,7 @@ function pushPageView(options = {}) {
         webPageDetails: {
           brand: 'velora',
           channel: 'web|' + pageType,
-          pageName: (pageName ? pageName + ' | velora' : (window.location.pathname || 'unknown') + ' | velora'),
+          pageName: pageName,
           pageType: pageType,
           pageUrl: window.location.href
         }
@@ -185,32 +191,9 @@ function pushLinkClick(options = {}) {
   const { linkText = '', linkUrl = '', linkType = 'button', linkPosition = '', productCategory = '' } = options;
   const custData = (typeof window.adl !== 'undefined' && window.adl.get) ? (window.adl.get('custData') || buildCustDataLocal()) : buildCustDataLocal();
 
-  // Get consistent page information using same logic as adl-utils.js
+  // Get consistent page information from the adl-utils.js route table
   const currentPageType = getPageType();
-  let currentPageName = '';
-  const path = window.location.pathname || window.location.href;
-  const params = new URLSearchParams(window.location.search);
-  
-  // Match the same page name logic as adl-utils.js
-  if (path.includes('pdp.html') || params.get('id')) {
-    currentPageName = 'Product Detail | velora';
-  } else if (path.includes('index.html') || path === '/' || path.endsWith('/')) {
-    currentPageName = 'home page | velora';
-  } else if (path.includes('plp.html')) {
-    currentPageName = 'Shop | velora';
-  } else if (path.includes('cart.html')) {
-    currentPageName = 'Cart | velora';
-  } else if (path.includes('checkout.html')) {
-    currentPageName = 'Checkout | velora';
-  } else if (path.includes('payment.html')) {
-    currentPageName = 'Payment | velora';
-  } else if (path.includes('thankyou.html')) {
-    currentPageName = 'Thank You | velora';
-  } else if (document.title) {
-    currentPageName = document.title.includes('|') ? document.title : document.title + ' | velora';
-  } else {
-    currentPageName = (path.split('/').pop() || 'unknown') + ' | velora';
-  }
+  const currentPageName = getPageName();
 
   const currentPageURL = window.location.href;
 
@@ -413,5 +396,6 @@ window.adlXDM = {
   pushAddToCart,
   pushProductDetailView,
   pushProductListView,
-  getPageType
+  getPageType,
+  getPageName
 };
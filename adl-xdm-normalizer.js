@@ -51,9 +51,17 @@
     return null;
   }
 
+  function resolveIdentity(source) {
+    if (window.adlProductIdentity && typeof window.adlProductIdentity.resolve === 'function') {
+      return window.adlProductIdentity.resolve(source);
+    }
+    var id = source.productID || source.id || source.sku || source.SKU || '';
+    return { productID: id ? String(id) : '', sku: id ? String(id) : '' };
+  }
+
   function normalizeProduct(source) {
     if (!source || typeof source !== 'object') return null;
-    var id = source.productID || source.id || source.sku || source.SKU || '';
+    var identity = resolveIdentity(source);
     var name = source.productName || source.name || source.product_name || '';
     var category = source.category || source.productCategory || '';
     var price = Number(source.price || source.priceTotal || source.unitPrice || 0) || 0;
@@ -61,8 +69,8 @@
     var brand = source.brand || '';
     var image = source.image || source.imageUrl || '';
     return {
-      SKU: id ? String(id) : '',
-      productID: id ? String(id) : '',
+      SKU: identity.sku,
+      productID: identity.productID,
       productName: name || '',
       productCategory: category || '',
       price: price,
@@ -88,13 +96,13 @@
       }
     }
 
-    // 2) Try global `products` + id query param (site uses client.js products array)
+    // 2) Try the loaded catalog (catalog.js) + id query param
     try {
       var id = getQueryParam('id');
-      if (id && window.products && Array.isArray(window.products)) {
-        var found = window.products.find(function (p) { return String(p.id) === String(id); });
+      if (id && window.veloraCatalog) {
+        var found = window.veloraCatalog.getById(id);
         if (found) {
-          return [normalizeProduct({ productID: 'VEL-' + (found.id || ''), sku: found.sku || String(found.id), productName: found.name, productCategory: found.category, price: found.price || 0, quantity: 1, brand: found.brand || '' })];
+          return [normalizeProduct({ id: found.id, sku: found.sku, productName: found.name, productCategory: found.category, price: found.price || 0, quantity: 1, brand: found.brand || '' })];
         }
       }
     } catch (e) {}
@@ -109,12 +117,12 @@
       if (Array.isArray(stored) && stored.length) return stored.map(normalizeProduct).filter(Boolean);
     } catch (e) {}
 
-    // 2) Try velora_cart structure used by client.js
+    // 2) Try the site cart (cart.js)
     try {
-      var cart = safeJSONParse(sessionStorage.getItem('velora_cart')) || [];
+      var cart = window.veloraCart ? window.veloraCart.getItems() : [];
       if (Array.isArray(cart) && cart.length) {
         return cart.map(function (c) {
-          return normalizeProduct({ productID: c.id ? 'VEL-' + c.id : (c.productID || ''), sku: c.sku || c.id, productName: c.name || c.productName || '', productCategory: c.category || c.productCategory || '', price: c.price || 0, quantity: c.quantity || c.qty || 1, brand: c.brand || '' });
+          return normalizeProduct({ id: c.id, productID: c.productID, sku: c.sku, productName: c.name || c.productName || '', productCategory: c.category || c.productCategory || '', price: c.price || 0, quantity: c.quantity || c.qty || 1, brand: c.brand || '' });
         }).filter(Boolean);
       }
     } catch (e) {}
@@ -164,7 +172,7 @@
     // Only populate on confirmation/thankyou.
     try {
       var pageType = (window.adl && typeof window.adl.getPageType === 'function') ? window.adl.getPageType() : (getQueryParam('page') || '').toLowerCase();
-      var isThankYou = (pageType === 'confirmation' || window.location.pathname.indexOf('thankyou') !== -1 || window.location.pathname.indexOf('confirmation') !== -1 || window.location.href.indexOf('thankyou') !== -1);
+      var isThankYou = (pageType === 'thankyou' || window.location.pathname.indexOf('thankyou') !== -1 || window.location.pathname.indexOf('confirmation') !== -1 || window.location.href.indexOf('thankyou') !== -1);
       if (!isThankYou) return null;
 
       // Try find a purchase/purchaseComplete object in dataLayer
@@ -0,0 +1,515 @@
+/*
+ * Velora Cart
+ * Purpose: Cart domain model. Line items are keyed by product + variant SKU so
+ * two sizes of the same product stay separate lines.
+ *
+ * Line item shape:
+ *   { key, id, sku, name, category, brand, price, image, color, size, quantity }
+ *
+ * Stored under velora_cart (localStorage by default; 'session' and 'memory'
+ * backends are available) as a versioned entry:
+ *   { version, savedAt, expiresAt, lines }
+ * Older shapes are upgraded through MIGRATIONS on load. Changes made in another
+ * tab arrive through the `storage` event as a 'sync' change.
+ *
+ * Every mutation notifies change listeners with
+ *   { type: 'add'|'update'|'remove'|'clear'|'replace'|'sync'|'coupon', key, line,
+ *     previousQuantity, quantity, delta, options }
+ * ('clear' also carries the removed lines as `lines`; 'coupon' is sent by
+ * coupons.js when applied codes change).
+ *
+ * The site cart emits addToCart/removeFromCart for every mutation with the
+ * units actually added or removed. Pass { track: false } as the options of a
+ * mutation to skip that (bulk restores); replace() and sync never emit.
+ *
+ * Exposes: window.VeloraCart (class), window.veloraCart (site cart)
+ */
+(function (window) {
+  'use strict';
+
+  const DEFAULT_STORAGE_KEY = 'velora_cart';
+  const DEFAULT_MAX_QUANTITY = 10;
+  const DEFAULT_BACKEND = 'local';
+  const DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+  const CART_VERSION = 2;
+
+  const LINE_FIELDS = ['id', 'sku', 'name', 'category', 'brand', 'price', 'image', 'color', 'size'];
+
+  /**
+   * Line key for a product + variant, e.g. "1:1-BLU-S"
+   */
+  function lineKey(id, sku) {
+    return String(id) + ':' + String(sku || id);
+  }
+
+  function copyLine(line) {
+    return line ? Object.assign({}, line) : null;
+  }
+
+  /**
+   * Stock from the loaded catalog; unknown SKUs (or no catalog yet) are not limited
+   */
+  function catalogStock(sku) {
+    const catalog = window.veloraCatalog;
+    if (catalog && catalog.getBySku(sku)) return catalog.getStock(sku);
+    return Infinity;
+  }
+
+  /**
+   * Build a clean line from a cart item, catalog item or older stored shape
+   */
+  function toLine(item, quantity) {
+    if (!item || item.id === undefined || item.id === null || item.id === '') return null;
+    const line = {};
+    LINE_FIELDS.forEach(function(field) {
+      if (item[field] !== undefined) line[field] = item[field];
+    });
+    line.id = String(item.id);
+    line.sku = item.sku ? String(item.sku) : line.id;
+    line.price = Number(item.price) || 0;
+    line.key = lineKey(line.id, line.sku);
+    line.quantity = Math.max(1, Math.floor(Number(quantity !== undefined ? quantity : item.quantity) || 1));
+    return line;
+  }
+
+  /**
+   * Merge items into clean lines; entries sharing a key add up
+   */
+  function mergeLines(items) {
+    const lines = [];
+    (Array.isArray(items) ? items : []).forEach(function(item) {
+      const line = toLine(item);
+      if (!line) return;
+      const existing = lines.find(function(l) { return l.key === line.key; });
+      if (existing) existing.quantity += line.quantity;
+      else lines.push(line);
+    });
+    return lines;
+  }
+
+  // ====================================================================
+  // STORAGE BACKENDS & MIGRATIONS
+  // ====================================================================
+
+  function memoryStorage() {
+    const data = {};
+    return {
+      getItem: function(key) { return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null; },
+      setItem: function(key, value) { data[key] = String(value); },
+      removeItem: function(key) { delete data[key]; }
+    };
+  }
+
+  /**
+   * Storage for a backend name ('local', 'session' or 'memory'); falls back to
+   * memory when the browser blocks storage access
+   */
+  function resolveBackend(name) {
+    try {
+      if (name === 'local' && window.localStorage) return window.localStorage;
+      if (name === 'session' && window.sessionStorage) return window.sessionStorage;
+    } catch (e) {
+      console.error('Cart: ' + name + ' storage unavailable, using memory', e);
+    }
+    return memoryStorage();
+  }
+
+  // Upgrade a stored entry from version N to N + 1
+  const MIGRATIONS = {
+    // v1: bare array of products/lines in sessionStorage, no expiry
+    1: function(entry) {
+      return { version: 2, savedAt: 0, expiresAt: 0, lines: mergeLines(entry.lines) };
+    }
+  };
+
+  /**
+   * Parse a stored value into the current entry shape
+   * @returns {Object|null} { version, savedAt, expiresAt, lines } or null
+   */
+  function readEntry(raw) {
+    if (!raw) return null;
+    let entry = JSON.parse(raw);
+    if (Array.isArray(entry)) entry = { version: 1, lines: entry };
+    if (!entry || typeof entry !== 'object') return null;
+
+    while ((entry.version || 1) < CART_VERSION) {
+      const upgrade = MIGRATIONS[entry.version || 1];
+      if (!upgrade) return null;
+      entry = upgrade(entry);
+    }
+    return entry;
+  }
+
+  class Cart {
+
+    /**
+     * @param {Object} options - Optional settings
+     * @param {string} options.backend - 'local', 'session' or 'memory' (default 'local')
+     * @param {Storage} options.storage - Explicit storage object (overrides backend)
+     * @param {string} options.storageKey - Storage key (default 'velora_cart')
+     * @param {number} options.ttl - Milliseconds a saved cart stays valid (default 30 days)
+     * @param {boolean} options.sync - Follow changes from other tabs (default true)
+     * @param {number} options.maxQuantity - Per-line quantity limit (default 10)
+     * @param {Function} options.getStock - sku -> units available (default: catalog stock)
+     */
+    constructor(options) {
+      const opts = options || {};
+      this.backend = opts.storage ? 'custom' : (opts.backend || DEFAULT_BACKEND);
+      this.storage = opts.storage || resolveBackend(this.backend);
+      this.storageKey = opts.storageKey || DEFAULT_STORAGE_KEY;
+      this.ttl = opts.ttl !== undefined ? opts.ttl : DEFAULT_TTL;
+      this.maxQuantity = opts.maxQuantity || DEFAULT_MAX_QUANTITY;
+      this.getStock = typeof opts.getStock === 'function' ? opts.getStock : catalogStock;
+      this.lines = [];
+      this.listeners = [];
+      this.load();
+
+      if (opts.sync !== false && typeof window.addEventListener === 'function') {
+        window.addEventListener('storage', this.handleStorageEvent.bind(this));
+      }
+    }
+
+    // ====================================================================
+    // STORAGE
+    // ====================================================================
+
+    /**
+     * Read lines from storage. Expired entries are dropped; a pre-versioning
+     * cart left in sessionStorage is adopted once by the other backends.
+     */
+    load() {
+      let entry = null;
+      try {
+        entry = readEntry(this.storage.getItem(this.storageKey));
+        if (!entry && this.backend !== 'session' && this.backend !== 'custom') {
+          entry = this.adoptLegacyCart();
+        }
+      } catch (e) {
+        console.error('Cart: Error reading stored cart', e);
+      }
+
+      if (entry && entry.expiresAt && entry.expiresAt < Date.now()) {
+        entry = null;
+        this.storage.removeItem(this.storageKey);
+      }
+      this.lines = mergeLines(entry ? entry.lines : []);
+      return this;
+    }
+
+    adoptLegacyCart() {
+      const legacy = window.sessionStorage;
+      const entry = legacy ? readEntry(legacy.getItem(this.storageKey)) : null;
+      if (!entry) return null;
+      legacy.removeItem(this.storageKey);
+      this.lines = mergeLines(entry.lines);
+      this.save();
+      return entry;
+    }
+
+    save() {
+      const now = Date.now();
+      const entry = {
+        version: CART_VERSION,
+        savedAt: now,
+        expiresAt: this.ttl ? now + this.ttl : 0,
+        lines: this.lines
+      };
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(entry));
+      } catch (e) {
+        console.error('Cart: Error saving cart', e);
+      }
+    }
+
+    /**
+     * Move the cart to another backend ('local', 'session' or 'memory')
+     * @param {string} name - Backend name
+     */
+    useBackend(name) {
+      if (name === this.backend) return this;
+      try {
+        this.storage.removeItem(this.storageKey);
+      } catch (e) {}
+      this.backend = name;
+      this.storage = resolveBackend(name);
+      this.save();
+      return this;
+    }
+
+    /**
+     * Another tab changed the cart: reload and tell listeners (without saving,
+     * so tabs do not echo each other)
+     */
+    handleStorageEvent(e) {
+      if (e.storageArea !== this.storage || (e.key !== null && e.key !== this.storageKey)) return;
+      const previous = this.quantity;
+      this.load();
+      this.notify('sync', null, previous, { track: false });
+    }
+
+    // ====================================================================
+    // READS
+    // ====================================================================
+
+    find(key) {
+      return this.lines.find(function(l) { return l.key === key; }) || null;
+    }
+
+    /**
+     * @returns {Array} Copies of all line items
+     */
+    getItems() {
+      return this.lines.map(copyLine);
+    }
+
+    /**
+     * @param {string} key - Line key (see Cart.lineKey)
+     * @returns {Object|null} Copy of the line item or null
+     */
+    getItem(key) {
+      return copyLine(this.find(key));
+    }
+
+    /**
+     * Units across all lines
+     */
+    get quantity() {
+      return this.lines.reduce(function(sum, l) { return sum + l.quantity; }, 0);
+    }
+
+    /**
+     * Sum of price x quantity across all lines
+     */
+    get subtotal() {
+      return this.lines.reduce(function(sum, l) { return sum + l.price * l.quantity; }, 0);
+    }
+
+    get isEmpty() {
+      return this.lines.length === 0;
+    }
+
+    /**
+     * Subtotal, discounts, shipping, tax and total from the totals engine (totals.js).
+     * Applied coupon codes (coupons.js) are included and listed as couponCodes.
+     * @param {Object} options - Passed to veloraTotals.calculate (e.g. { discounts });
+     *   { coupons: false } leaves coupons out
+     * @returns {Object|null} Totals or null when totals.js is not loaded
+     */
+    getTotals(options) {
+      if (!window.veloraTotals) return null;
+      const opts = Object.assign({}, options);
+      const coupons = opts.coupons !== false && window.veloraCoupons ? window.veloraCoupons : null;
+      const codes = coupons ? coupons.getAppliedCodes(this.lines) : [];
+      if (coupons) opts.discounts = (opts.discounts || []).concat(coupons.getDiscounts(this.lines));
+      return Object.assign(window.veloraTotals.calculate(this.lines, opts), { couponCodes: codes });
+    }
+
+    /**
+     * Highest quantity a line may hold: the per-line limit or the stock, whichever is lower
+     * @param {string} sku - Line SKU
+     * @returns {number}
+     */
+    getLimit(sku) {
+      const stock = this.getStock(sku);
+      return Math.max(0, Math.min(this.maxQuantity, typeof stock === 'number' ? stock : Infinity));
+    }
+
+    // ====================================================================
+    // MUTATIONS
+    // Each returns { ok, reason, line, delta }. A request above the limit is
+    // clamped (ok, smaller delta); nothing changes when reason is set and ok is false.
+    // Reasons: 'invalid_item', 'not_found', 'out_of_stock', 'max_quantity'
+    // ====================================================================
+
+    /**
+     * Add units of a product variant, merging into its existing line
+     * @param {Object} item - Cart or catalog item ({ id, sku, name, price, ... })
+     * @param {number} quantity - Units to add (default 1)
+     * @param {Object} options - Passed through to change listeners
+     */
+    add(item, quantity, options) {
+      const incoming = toLine(item, quantity === undefined ? 1 : quantity);
+      if (!incoming) return { ok: false, reason: 'invalid_item', line: null, delta: 0 };
+
+      const existing = this.find(incoming.key);
+      const previous = existing ? existing.quantity : 0;
+      const requested = previous + incoming.quantity;
+      const limit = this.getLimit(incoming.sku);
+      const next = Math.min(requested, limit);
+
+      if (next <= previous) {
+        return { ok: false, reason: limit === 0 ? 'out_of_stock' : 'max_quantity', line: copyLine(existing), delta: 0 };
+      }
+
+      let line = existing;
+      if (line) {
+        line.quantity = next;
+      } else {
+        line = Object.assign(incoming, { quantity: next });
+        this.lines.push(line);
+      }
+      this.commit(existing ? 'update' : 'add', line, previous, options);
+      return { ok: true, reason: next < requested ? 'max_quantity' : '', line: copyLine(line), delta: next - previous };
+    }
+
+    /**
+     * Set a line's quantity; 0 or less removes the line
+     * @param {string} key - Line key
+     * @param {number} quantity - New quantity
+     * @param {Object} options - Passed through to change listeners
+     */
+    setQuantity(key, quantity, options) {
+      const line = this.find(key);
+      if (!line) return { ok: false, reason: 'not_found', line: null, delta: 0 };
+
+      const wanted = Math.floor(Number(quantity) || 0);
+      if (wanted <= 0) return this.remove(key, options);
+
+      const previous = line.quantity;
+      const next = Math.min(wanted, Math.max(this.getLimit(line.sku), 1));
+      if (next === previous) {
+        return { ok: wanted === previous, reason: wanted === previous ? '' : 'max_quantity', line: copyLine(line), delta: 0 };
+      }
+
+      line.quantity = next;
+      this.commit('update', line, previous, options);
+      return { ok: true, reason: next < wanted ? 'max_quantity' : '', line: copyLine(line), delta: next - previous };
+    }
+
+    /**
+     * Remove a line
+     * @param {string} key - Line key
+     * @param {Object} options - Passed through to change listeners
+     */
+    remove(key, options) {
+      const line = this.find(key);
+      if (!line) return { ok: false, reason: 'not_found', line: null, delta: 0 };
+
+      this.lines = this.lines.filter(function(l) { return l !== line; });
+      this.commit('remove', line, line.quantity, options, 0);
+      return { ok: true, reason: '', line: copyLine(line), delta: -line.quantity };
+    }
+
+    /**
+     * Remove every line
+     * @param {Object} options - Passed through to change listeners
+     */
+    clear(options) {
+      const previous = this.quantity;
+      const removed = this.lines.map(copyLine);
+      this.lines = [];
+      this.commit('clear', null, previous, options, 0, { lines: removed });
+      return { ok: true, reason: '', line: null, delta: -previous };
+    }
+
+    /**
+     * Replace all lines at once (restoring a saved cart); no stock checks
+     * @param {Array} items - Cart items
+     * @param {Object} options - Passed through to change listeners
+     */
+    replace(items, options) {
+      const previous = this.quantity;
+      this.lines = mergeLines(items);
+      this.commit('replace', null, previous, options);
+      return { ok: true, reason: '', line: null, delta: this.quantity - previous };
+    }
+
+    // ====================================================================
+    // CHANGE EVENTS
+    // ====================================================================
+
+    /**
+     * Listen for cart changes
+     * @param {Function} handler - Called with the change detail
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(handler) {
+      if (typeof handler !== 'function') return function() {};
+      this.listeners.push(handler);
+      const self = this;
+      return function() { self.offChange(handler); };
+    }
+
+    offChange(handler) {
+      this.listeners = this.listeners.filter(function(h) { return h !== handler; });
+    }
+
+    commit(type, line, previousQuantity, options, quantity, extra) {
+      this.save();
+      this.notify(type, line, previousQuantity, options, quantity, extra);
+    }
+
+    notify(type, line, previousQuantity, options, quantity, extra) {
+      const current = quantity !== undefined ? quantity : (line ? line.quantity : this.quantity);
+      const detail = Object.assign({
+        type: type,
+        key: line ? line.key : null,
+        line: copyLine(line),
+        previousQuantity: previousQuantity,
+        quantity: current,
+        delta: current - previousQuantity,
+        options: options || {}
+      }, extra);
+      this.listeners.slice(0).forEach(function(handler) {
+        try {
+          handler(detail, this);
+        } catch (e) {
+          console.error('Cart: Error in change listener', e);
+        }
+      }, this);
+    }
+  }
+
+  // ====================================================================
+  // COMMERCE EVENTS
+  // ====================================================================
+
+  /**
+   * Event product for a line; quantity is the change, not the line total
+   */
+  function toEventProduct(line, quantity, options) {
+    return {
+      id: line.id,
+      sku: line.sku,
+      productName: line.name || '',
+      category: line.category || '',
+      price: line.price || 0,
+      color: line.color || '',
+      size: line.size || '',
+      quantity: quantity,
+      linkPosition: options.linkPosition || '',
+      linkType: options.linkType || ''
+    };
+  }
+
+  /**
+   * Change listener: emit addToCart/removeFromCart through window.adl
+   */
+  function trackCartChange(change) {
+    if (change.options.track === false || change.type === 'replace' || change.type === 'sync') return;
+    if (!window.adl) return;
+
+    const changes = change.type === 'clear'
+      ? change.lines.map(function(line) { return { line: line, delta: -line.quantity }; })
+      : [{ line: change.line, delta: change.delta }];
+
+    changes.forEach(function(c) {
+      if (!c.line || !c.delta) return;
+      const product = toEventProduct(c.line, Math.abs(c.delta), change.options);
+      if (c.delta > 0 && typeof window.adl.trackAddToCart === 'function') {
+        window.adl.trackAddToCart(product);
+      } else if (c.delta < 0 && typeof window.adl.trackRemoveFromCart === 'function') {
+        window.adl.trackRemoveFromCart(product);
+      }
+    });
+  }
+
+  Cart.lineKey = lineKey;
+  Cart.VERSION = CART_VERSION;
+  Cart.MIGRATIONS = MIGRATIONS;
+
+  window.VeloraCart = Cart;
+  window.veloraCart = new Cart();
+  window.veloraCart.onChange(trackCartChange);
+
+})(window);
@@ -0,0 +1,224 @@
+/*
+ * Velora Product Catalog
+ * Purpose: Load the product catalog (products.json or an injected array) and
+ * look products up by id, SKU or category, including their variants.
+ *
+ * Product shape (products.json):
+ *   { id, sku, name, category, brand, price, image,
+ *     variants: [{ sku, color, size, stock, image?, price? }] }
+ * Products without variants behave as a single variant using the product SKU.
+ *
+ * Exposes: window.veloraCatalog
+ */
+(function (window) {
+  'use strict';
+
+  const DEFAULT_SOURCE = 'products.json';
+
+  let products = [];
+  let byId = {};
+  let bySku = {};
+  let loading = null;
+
+  /**
+   * Fill in variant defaults so every product has at least one variant
+   */
+  function normalizeProduct(raw) {
+    const product = Object.assign({}, raw, { id: String(raw.id), sku: raw.sku ? String(raw.sku) : String(raw.id) });
+    const variants = Array.isArray(raw.variants) && raw.variants.length ? raw.variants : [{ sku: product.sku }];
+
+    product.variants = variants.map(function(v) {
+      return {
+        sku: String(v.sku),
+        color: v.color || '',
+        size: v.size || '',
+        // Missing stock means "not tracked": always available
+        stock: typeof v.stock === 'number' ? v.stock : Infinity,
+        image: v.image || product.image || '',
+        price: typeof v.price === 'number' ? v.price : product.price
+      };
+    });
+    return product;
+  }
+
+  function indexCatalog(list) {
+    products = (list || []).filter(function(p) { return p && p.id !== undefined && p.id !== null; }).map(normalizeProduct);
+    byId = {};
+    bySku = {};
+    products.forEach(function(product) {
+      byId[product.id] = product;
+      bySku[product.sku] = { product: product, variant: null };
+      product.variants.forEach(function(variant) {
+        bySku[variant.sku] = { product: product, variant: variant };
+      });
+    });
+
+    // Base SKUs first so identity keeps them as each product's default SKU
+    if (window.adlProductIdentity) {
+      window.adlProductIdentity.register(products);
+      products.forEach(function(product) {
+        window.adlProductIdentity.register(product.variants.map(function(v) { return { id: product.id, sku: v.sku }; }));
+      });
+    }
+    return products;
+  }
+
+  window.veloraCatalog = {
+
+    /**
+     * Load the catalog
+     * @param {string|Array} source - URL of a products.json file, or an array of products (default 'products.json')
+     * @returns {Promise<Array>} Resolves with the loaded products (empty on failure)
+     */
+    load: function(source) {
+      const src = source || DEFAULT_SOURCE;
+
+      if (Array.isArray(src)) {
+        loading = Promise.resolve(indexCatalog(src));
+        return loading;
+      }
+
+      loading = fetch(src)
+        .then(function(response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status + ' loading ' + src);
+          return response.json();
+        })
+        .then(indexCatalog)
+        .catch(function(e) {
+          console.error('Catalog: Error loading products from ' + src, e);
+          return indexCatalog([]);
+        });
+      return loading;
+    },
+
+    /**
+     * Wait for the catalog, loading products.json if nothing was loaded yet
+     * @returns {Promise<Array>} Resolves with the loaded products
+     */
+    ready: function() {
+      return loading || this.load();
+    },
+
+    /**
+     * @returns {Array} All products
+     */
+    getAll: function() {
+      return products.slice(0);
+    },
+
+    /**
+     * @param {string|number} id - Catalog id
+     * @returns {Object|null} Product or null
+     */
+    getById: function(id) {
+      return byId[String(id)] || null;
+    },
+
+    /**
+     * Look up a product by its own SKU or one of its variant SKUs
+     * @param {string} sku - SKU
+     * @returns {Object|null} { product, variant } (variant is null for a base SKU) or null
+     */
+    getBySku: function(sku) {
+      return bySku[String(sku)] || null;
+    },
+
+    /**
+     * @param {string} category - Category name (case-insensitive)
+     * @returns {Array} Products in the category
+     */
+    getByCategory: function(category) {
+      const wanted = String(category || '').toLowerCase();
+      return products.filter(function(p) { return String(p.category || '').toLowerCase() === wanted; });
+    },
+
+    /**
+     * @returns {Array} Distinct category names in catalog order
+     */
+    getCategories: function() {
+      return products.map(function(p) { return p.category; }).filter(function(c, i, all) { return c && all.indexOf(c) === i; });
+    },
+
+    /**
+     * Distinct colors and sizes offered for a product
+     * @param {string|number} id - Catalog id
+     * @returns {Object} { colors: [], sizes: [] }
+     */
+    getOptions: function(id) {
+      const product = this.getById(id);
+      const options = { colors: [], sizes: [] };
+      (product ? product.variants : []).forEach(function(v) {
+        if (v.color && options.colors.indexOf(v.color) === -1) options.colors.push(v.color);
+        if (v.size && options.sizes.indexOf(v.size) === -1) options.sizes.push(v.size);
+      });
+      return options;
+    },
+
+    /**
+     * Find the variant matching a color/size selection
+     * @param {string|number} id - Catalog id
+     * @param {Object} selection - { color, size } (empty values match anything)
+     * @returns {Object|null} Variant or null
+     */
+    findVariant: function(id, selection) {
+      const product = this.getById(id);
+      const sel = selection || {};
+      if (!product) return null;
+      return product.variants.filter(function(v) {
+        return (!sel.color || v.color === sel.color) && (!sel.size || v.size === sel.size);
+      })[0] || null;
+    },
+
+    /**
+     * First in-stock variant (or the first variant when all are sold out)
+     * @param {string|number} id - Catalog id
+     * @returns {Object|null} Variant or null
+     */
+    getDefaultVariant: function(id) {
+      const product = this.getById(id);
+      if (!product) return null;
+      return product.variants.filter(function(v) { return v.stock > 0; })[0] || product.variants[0];
+    },
+
+    /**
+     * @param {string} sku - Variant or base SKU
+     * @returns {number} Units in stock (Infinity when not tracked, 0 when unknown)
+     */
+    getStock: function(sku) {
+      const entry = this.getBySku(sku);
+      if (!entry) return 0;
+      if (entry.variant) return entry.variant.stock;
+      return entry.product.variants.reduce(function(sum, v) { return sum + v.stock; }, 0);
+    },
+
+    /**
+     * @param {string} sku - Variant or base SKU
+     * @returns {boolean} Whether at least one unit is available
+     */
+    isInStock: function(sku) {
+      return this.getStock(sku) > 0;
+    },
+
+    /**
+     * Flatten a product + variant into the item shape used by the cart and trackers
+     * @param {Object} product - Catalog product
+     * @param {Object} variant - Optional variant (defaults to getDefaultVariant)
+     * @returns {Object} { id, sku, name, category, brand, price, image, color, size }
+     */
+    toItem: function(product, variant) {
+      const v = variant || this.getDefaultVariant(product.id) || {};
+      return {
+        id: product.id,
+        sku: v.sku || product.sku,
+        name: product.name,
+        category: product.category,
+        brand: product.brand,
+        price: typeof v.price === 'number' ? v.price : product.price,
+        image: v.image || product.image,
+        color: v.color || '',
+        size: v.size || ''
+      };
+    }
+  };
+
+})(window);
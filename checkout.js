@@ -0,0 +1,245 @@
+/*
+ * Velora Checkout Flow
+ * Purpose: The checkout steps as one state machine so every page enters,
+ * leaves and reports steps the same way.
+ *
+ * Steps (in order):
+ *   1. shipping - checkout.html: contact and delivery address
+ *   2. payment  - payment.html: card details
+ *   3. review   - payment.html: confirm and place the order
+ *
+ * Transitions are guarded: a step can only be entered from a neighbouring
+ * step (or the cart, for shipping), with a non-empty cart, and once every
+ * earlier step has been completed. Entering a step fires scCheckout through
+ * adl.trackCheckout with the step name and number, so funnel reports can
+ * count drop-off between steps.
+ *
+ * Form values are kept per step in sessionStorage (velora_checkout) so going
+ * back a page does not lose them. Card numbers are never stored; the payment
+ * step keeps only what the review step shows (name on card, last 4 digits).
+ *
+ * Exposes: window.veloraCheckout
+ */
+(function (window) {
+  'use strict';
+
+  const STATE_KEY = 'velora_checkout';
+
+  const STEPS = [
+    { name: 'shipping', number: 1, page: 'checkout.html' },
+    { name: 'payment', number: 2, page: 'payment.html' },
+    { name: 'review', number: 3, page: 'payment.html' }
+  ];
+
+  // Allowed moves: current step -> steps it may enter ('' = not in checkout yet)
+  const TRANSITIONS = {
+    '': ['shipping'],
+    shipping: ['shipping', 'payment'],
+    payment: ['shipping', 'payment', 'review'],
+    review: ['shipping', 'payment', 'review']
+  };
+
+  function emptyState() {
+    return { step: '', completed: [], forms: {}, startedAt: '', updatedAt: '' };
+  }
+
+  function readState() {
+    try {
+      const stored = JSON.parse(window.sessionStorage.getItem(STATE_KEY) || 'null');
+      if (stored && typeof stored === 'object') return Object.assign(emptyState(), stored);
+    } catch (e) {
+      console.error('Checkout: Error reading checkout state', e);
+    }
+    return emptyState();
+  }
+
+  function writeState(state) {
+    state.updatedAt = new Date().toISOString();
+    try {
+      window.sessionStorage.setItem(STATE_KEY, JSON.stringify(state));
+    } catch (e) {
+      console.error('Checkout: Error saving checkout state', e);
+    }
+  }
+
+  function findStep(name) {
+    return STEPS.filter(function(s) { return s.name === name; })[0] || null;
+  }
+
+  /**
+   * scCheckout cart payload from the current cart and totals
+   */
+  function checkoutCart(cart) {
+    const totals = cart.getTotals();
+    return {
+      totalQuantity: totals.totalQuantity,
+      totalValue: totals.total,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      shipping: totals.shipping,
+      tax: totals.tax,
+      products: cart.getItems().map(function(line) {
+        return {
+          id: line.id,
+          sku: line.sku,
+          productName: line.name || '',
+          brand: line.brand || 'velora',
+          category: line.category || '',
+          color: line.color || '',
+          size: line.size || '',
+          price: line.price || 0,
+          quantity: line.quantity || 1
+        };
+      })
+    };
+  }
+
+  window.veloraCheckout = {
+
+    /**
+     * Step definitions, in order: [{ name, number, page }]
+     */
+    steps: STEPS.map(function(s) { return Object.assign({}, s); }),
+
+    /**
+     * @param {string} name - Step name
+     * @returns {Object|null} { name, number, page } or null
+     */
+    getStep: function(name) {
+      const step = findStep(name);
+      return step ? Object.assign({}, step) : null;
+    },
+
+    /**
+     * @returns {Object} { step, completed, forms, startedAt, updatedAt }
+     */
+    getState: function() {
+      return readState();
+    },
+
+    /**
+     * @returns {string} Current step name ('' outside checkout)
+     */
+    getCurrentStep: function() {
+      return readState().step;
+    },
+
+    /**
+     * @param {string} name - Step name
+     * @returns {boolean} Whether the step has been completed
+     */
+    isCompleted: function(name) {
+      return readState().completed.indexOf(name) !== -1;
+    },
+
+    /**
+     * Check whether a step can be entered from the current one
+     * @param {string} name - Step name
+     * @returns {Object} { ok, reason, redirect }
+     *   reason: 'unknown_step' | 'empty_cart' | 'not_allowed' | 'incomplete_step'
+     *   redirect: page of the step to go back to, when there is one
+     */
+    canEnter: function(name) {
+      const step = findStep(name);
+      const result = function(reason, redirect) {
+        return { ok: !reason, reason: reason || '', redirect: redirect || '' };
+      };
+      if (!step) return result('unknown_step');
+
+      const cart = window.veloraCart;
+      if (!cart || cart.isEmpty) return result('empty_cart', 'cart.html');
+
+      const state = readState();
+      const missing = STEPS.filter(function(s) {
+        return s.number < step.number && state.completed.indexOf(s.name) === -1;
+      })[0];
+      if (missing) return result('incomplete_step', missing.page);
+
+      if ((TRANSITIONS[state.step] || []).indexOf(name) === -1) {
+        return result('not_allowed', state.step ? findStep(state.step).page : '');
+      }
+      return result('');
+    },
+
+    /**
+     * Enter a step; fires scCheckout for it
+     * @param {string} name - Step name
+     * @param {Object} options - Optional: { track: false to skip scCheckout }
+     * @returns {Object} { ok, reason, redirect, step }
+     */
+    enter: function(name, options) {
+      const opts = options || {};
+      const check = this.canEnter(name);
+      if (!check.ok) return check;
+
+      const state = readState();
+      if (!state.startedAt) state.startedAt = new Date().toISOString();
+      state.step = name;
+      // Going back re-opens the step and everything after it
+      const number = findStep(name).number;
+      state.completed = state.completed.filter(function(s) { return findStep(s).number < number; });
+      writeState(state);
+
+      check.step = this.getStep(name);
+      if (opts.track !== false && window.adl && typeof window.adl.trackCheckout === 'function') {
+        window.adl.trackCheckout(checkoutCart(window.veloraCart), { name: check.step.name, number: check.step.number });
+      }
+      return check;
+    },
+
+    /**
+     * Complete the current step and keep its form values
+     * @param {string} name - Step name (must be the current step)
+     * @param {Object} values - Form values to keep for the step
+     * @returns {Object} { ok, reason, next } - next is the following step, if any
+     */
+    complete: function(name, values) {
+      const state = readState();
+      if (state.step !== name) return { ok: false, reason: 'not_current', next: null };
+
+      if (values) state.forms[name] = Object.assign({}, values);
+      if (state.completed.indexOf(name) === -1) state.completed.push(name);
+      writeState(state);
+
+      const next = STEPS.filter(function(s) { return s.number === findStep(name).number + 1; })[0];
+      return { ok: true, reason: '', next: next ? Object.assign({}, next) : null };
+    },
+
+    /**
+     * Keep form values for a step without completing it
+     * @param {string} name - Step name
+     * @param {Object} values - Form values
+     */
+    saveForm: function(name, values) {
+      if (!findStep(name)) return;
+      const state = readState();
+      state.forms[name] = Object.assign({}, state.forms[name], values);
+      writeState(state);
+    },
+
+    /**
+     * @param {string} name - Step name
+     * @returns {Object} Kept form values for the step ({} when none)
+     */
+    getForm: function(name) {
+      return Object.assign({}, readState().forms[name]);
+    },
+
+    /**
+     * End the flow after the order is placed (forgets step and form state)
+     */
+    finish: function() {
+      this.reset();
+    },
+
+    /**
+     * Forget step and form state
+     */
+    reset: function() {
+      try {
+        window.sessionStorage.removeItem(STATE_KEY);
+      } catch (e) {}
+    }
+  };
+
+})(window);
@@ -1,30 +1,77 @@
 // client.js - instrumented for AEP link clicks and product interactions
-// Product catalog with product image URLs
-const products = [
-  {id:"1", sku:"1", name:"Classic Denim Jacket", category:"Jackets", brand:"Velora", price:2499, image:"https://images.unsplash.com/photo-1544022613-e87ca75a784a?w=600&h=800&fit=crop&auto=format"},
-  {id:"2", sku:"2", name:"Casual White Shirt", category:"Shirts", brand:"Velora", price:1299, image:"https://images.unsplash.com/photo-1583743814966-8936f5b7be1a?w=600&h=800&fit=crop&auto=format&q=80"},
-  {id:"3", sku:"3", name:"Summer Floral Dress", category:"Dresses", brand:"Velora", price:1999, image:"https://images.unsplash.com/photo-1515372039744-b8f02a3ae446?w=600&h=800&fit=crop&auto=format"},
-  {id:"4", sku:"4", name:"Slim Fit Chinos", category:"Trousers", brand:"Velora", price:1799, image:"https://images.unsplash.com/photo-1520975916090-3105956dac38?auto=format&fit=crop&w=600&q=80"}
-];
-
-// Simple cart state in sessionStorage
+// Product catalog lives in products.json and is loaded by catalog.js
+if (window.veloraCatalog) window.veloraCatalog.ready();
+
+// Coupon codes live in coupons.json and are loaded by coupons.js
+if (window.veloraCoupons) window.veloraCoupons.ready();
+
+// Resolves once catalog and coupons are loaded (stock limits and discounts need both)
+function whenCommerceReady() {
+  return Promise.all([
+    window.veloraCatalog ? window.veloraCatalog.ready() : null,
+    window.veloraCoupons ? window.veloraCoupons.ready() : null
+  ]);
+}
+
+// Cart state lives in window.veloraCart (cart.js); these return/replace plain line items
 function getCart() {
-  try { return JSON.parse(sessionStorage.getItem('velora_cart') || '[]'); } catch(e){ return []; }
+  return window.veloraCart ? window.veloraCart.getItems() : [];
+}
+function setCart(cart) { if (window.veloraCart) window.veloraCart.replace(cart || []); }
+
+// Line key for a cart line; accepts a line key or (older callers) a product id
+function resolveLineKey(keyOrId) {
+  const cart = window.veloraCart;
+  if (!cart) return '';
+  if (cart.find(String(keyOrId))) return String(keyOrId);
+  const line = getCart().find(i => String(i.id) === String(keyOrId));
+  return line ? line.key : '';
 }
-function setCart(cart) { try { sessionStorage.setItem('velora_cart', JSON.stringify(cart)); } catch(e){} }
 
-// Helper to determine page type
+// web.productDetails entries for the current cart lines
+function cartProductDetails(items) {
+  return (items || getCart()).map(function(cartItem) {
+    return {
+      productID: toProductID(cartItem),
+      sku: cartItem.sku || '',
+      productName: cartItem.name || '',
+      brand: cartItem.brand || '',
+      category: cartItem.category || '',
+      price: cartItem.price || 0,
+      quantity: cartItem.quantity || 1,
+      color: cartItem.color || '',
+      size: cartItem.size || '',
+      currencyCode: getCurrency(cartItem)
+    };
+  });
+}
+
+// Helper to determine page type (route table lives in adl-utils.js)
 function getPageType() {
-  const path = window.location.pathname || window.location.href;
-  if (path.includes('pdp.html') || path.includes('id=')) return 'pdp';
-  if (path.includes('plp.html')) return 'plp';
-  if (path.includes('cart.html')) return 'cart';
-  if (path.includes('checkout.html')) return 'checkout';
-  if (path.includes('thankyou.html')) return 'thankyou';
-  if (path.includes('payment.html')) return 'payment';
+  if (window.adl && typeof window.adl.getPageType === 'function') return window.adl.getPageType();
   return 'home';
 }
 
+// Locale-aware price display (currency settings live in adl-utils.js)
+function formatPrice(amount, product) {
+  if (window.adl && typeof window.adl.formatPrice === 'function') {
+    return window.adl.formatPrice(amount, window.adl.getCurrency(product));
+  }
+  return '₹' + amount;
+}
+
+// Currency code for a product: per-product override or the site currency
+function getCurrency(product) {
+  if (window.adl && typeof window.adl.getCurrency === 'function') return window.adl.getCurrency(product);
+  return (product && (product.currencyCode || product.currency)) || 'INR';
+}
+
+// External productID ("VEL-1") for a catalog/cart item
+function toProductID(product) {
+  if (window.adlProductIdentity) return window.adlProductIdentity.toProductID(product);
+  return product && product.id ? 'VEL-' + product.id : '';
+}
+
 // Legacy tracking helpers - kept for backwards compatibility
 // All tracking should use window.adl functions directly
 function trackLinkClick(opts) {
@@ -44,7 +91,7 @@ function pushAddToCart(product, quantity, cartItems) {
   if (window.adl && typeof window.adl.trackAddToCart === 'function') {
     try {
       window.adl.trackAddToCart({
-        productID: product.id || product.productId || '',
+        productID: toProductID(product),
         productName: product.name || product.productName || '',
         category: product.category || product.productCategory || '',
         price: product.price || 0,
@@ -78,13 +125,21 @@ function renderProducts(containerId, items) {
     title.textContent = p.name;
 
     const price = document.createElement('p');
-    price.textContent = 'Rs ' + p.price;
+    price.textContent = formatPrice(p.price, p);
 
     const btnAdd = document.createElement('button');
     btnAdd.className = 'add-to-cart';
     btnAdd.textContent = 'Add to cart';
     btnAdd.dataset.productId = p.id;
 
+    // Color/size selection drives the SKU that gets added
+    const picker = renderVariantPicker(p, function(variant) {
+      btnAdd.dataset.sku = variant ? variant.sku : '';
+      btnAdd.disabled = !variant || variant.stock <= 0;
+      btnAdd.textContent = btnAdd.disabled ? 'Out of stock' : 'Add to cart';
+      if (variant && variant.image) img.src = variant.image;
+    });
+
     const btnView = document.createElement('button');
     btnView.className = 'view-product';
     btnView.textContent = 'View';
@@ -93,6 +148,7 @@ function renderProducts(containerId, items) {
     div.appendChild(img);
     div.appendChild(title);
     div.appendChild(price);
+    div.appendChild(picker);
     div.appendChild(btnAdd);
     div.appendChild(btnView);
 
@@ -100,10 +156,135 @@ function renderProducts(containerId, items) {
   });
 }
 
+// Color/size selects for a catalog product; onChange(variant) fires once
+// with the default variant and again on every selection change
+function renderVariantPicker(product, onChange) {
+  const wrap = document.createElement('div');
+  wrap.className = 'variant-picker';
+  const catalog = window.veloraCatalog;
+  if (!catalog || !product) return wrap;
+
+  const options = catalog.getOptions(product.id);
+  const initial = catalog.getDefaultVariant(product.id) || {};
+  const selects = {};
+
+  function optionLabel(field, value) {
+    const variant = catalog.findVariant(product.id, field === 'color' ? { color: value, size: selects.size && selects.size.value } : { color: selects.color && selects.color.value, size: value });
+    return variant && variant.stock <= 0 ? value + ' (out of stock)' : value;
+  }
+
+  function refreshLabels() {
+    Object.keys(selects).forEach(function(field) {
+      Array.prototype.forEach.call(selects[field].options, function(opt) { opt.textContent = optionLabel(field, opt.value); });
+    });
+  }
+
+  function changed() {
+    refreshLabels();
+    const variant = catalog.findVariant(product.id, {
+      color: selects.color ? selects.color.value : '',
+      size: selects.size ? selects.size.value : ''
+    });
+    if (typeof onChange === 'function') onChange(variant);
+  }
+
+  [['color', options.colors, 'Color'], ['size', options.sizes, 'Size']].forEach(function(def) {
+    const field = def[0];
+    const values = def[1];
+    if (!values.length) return;
+    const select = document.createElement('select');
+    select.className = 'variant-' + field;
+    select.setAttribute('aria-label', def[2]);
+    values.forEach(function(value) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = value;
+      select.appendChild(opt);
+    });
+    if (initial[field]) select.value = initial[field];
+    select.addEventListener('change', changed);
+    selects[field] = select;
+    wrap.appendChild(select);
+  });
+
+  changed();
+  return wrap;
+}
+
+// Subtotal / discount / shipping / tax / total rows for a totals object (totals.js)
+function renderTotalsSummary(totals) {
+  if (!totals) return '';
+  const row = (label, value, style) => `<p style="display:flex;justify-content:space-between;margin:6px 0;${style || ''}"><span>${label}</span><span>${value}</span></p>`;
+  let html = '<div class="order-totals" style="max-width:400px;margin-left:auto;">';
+  html += row('Subtotal', formatPrice(totals.subtotal));
+  const codes = totals.couponCodes && totals.couponCodes.length ? ' (' + totals.couponCodes.join(', ') + ')' : '';
+  if (totals.discount) html += row('Discount' + codes, '-' + formatPrice(totals.discount), 'color:#2e7d32;');
+  html += row('Shipping', totals.shipping ? formatPrice(totals.shipping) : 'Free');
+  html += row(totals.taxInclusive ? 'Tax (included)' : 'Tax', formatPrice(totals.tax));
+  html += row('Total', formatPrice(totals.total), 'font-size:20px;font-weight:bold;border-top:1px solid #ddd;padding-top:8px;');
+  html += '</div>';
+  return html;
+}
+
+// Shopper-facing text for coupon rejection reasons (coupons.js)
+const COUPON_MESSAGES = {
+  empty_code: 'Please enter a code.',
+  unknown_code: 'This code is not valid.',
+  not_started: 'This code is not active yet.',
+  expired: 'This code has expired.',
+  min_spend: 'Your cart does not reach the minimum spend for this code.',
+  not_eligible: 'No items in your cart qualify for this code.',
+  already_applied: 'This code is already applied.'
+};
+
+// Promo code form with the applied codes; re-renders itself on every cart change
+function renderCouponForm(containerId) {
+  const container = document.getElementById(containerId);
+  if (!container || !window.veloraCoupons) return;
+
+  let message = '';
+  function render() {
+    const applied = window.veloraCoupons.getAppliedCodes();
+    container.innerHTML = `
+      <form class="coupon-form" style="display:flex;gap:10px;align-items:center;margin:15px 0;">
+        <input type="text" name="coupon" placeholder="Promo code" aria-label="Promo code" style="padding:8px;">
+        <button type="submit" style="padding:8px 16px;background:#222;color:white;border:none;cursor:pointer;border-radius:5px;">Apply</button>
+      </form>
+      <p class="coupon-message" style="margin:0 0 10px 0;">${message}</p>
+      <ul class="coupon-applied" style="list-style:none;padding:0;margin:0;"></ul>
+    `;
+    const list = container.querySelector('.coupon-applied');
+    applied.forEach(function(code) {
+      const coupon = window.veloraCoupons.get(code) || {};
+      const li = document.createElement('li');
+      li.textContent = code + (coupon.description ? ' - ' + coupon.description + ' ' : ' ');
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.style.cssText = 'padding:2px 8px;background:#ff4081;color:white;border:none;cursor:pointer;border-radius:5px;';
+      removeBtn.onclick = function(e) {
+        e.preventDefault();
+        message = '';
+        window.veloraCoupons.remove(code);
+      };
+      li.appendChild(removeBtn);
+      list.appendChild(li);
+    });
+
+    container.querySelector('.coupon-form').addEventListener('submit', function(e) {
+      e.preventDefault();
+      const result = window.veloraCoupons.apply(this.elements.coupon.value);
+      message = result.valid ? 'Code ' + result.code + ' applied.' : (COUPON_MESSAGES[result.reason] || 'This code cannot be used.');
+      render();
+    });
+  }
+
+  render();
+  if (window.veloraCart) window.veloraCart.onChange(render);
+}
+
 // Robust initCart: update multiple badge ids used across pages
 function initCart() {
-  const cart = getCart();
-  const count = cart.reduce((s,i)=>s+(i.quantity||1),0);
+  const count = window.veloraCart ? window.veloraCart.quantity : 0;
   const badge1 = document.getElementById('cart-count'); // preferred id
   const badge2 = document.getElementById('cartCount');  // legacy id used in some pages
   if (badge1) badge1.textContent = count;
@@ -124,8 +305,11 @@ function loadCart() {
   // Clear existing items
   cartItemsEl.innerHTML = '';
   
+  const totalsEl = document.getElementById('cartTotals');
+  
   if (!cart || cart.length === 0) {
     cartItemsEl.innerHTML = '<li>Your cart is empty.</li>';
+    if (totalsEl) totalsEl.innerHTML = '';
     if (checkoutSection) checkoutSection.style.display = 'none';
     return;
   }
@@ -146,7 +330,7 @@ function loadCart() {
       <span>Brand: ${item.brand || 'N/A'}</span><br>
       ${item.color ? '<span>Color: ' + item.color + '</span><br>' : ''}
       ${item.size ? '<span>Size: ' + item.size + '</span><br>' : ''}
-      <span>Price: ₹${item.price || 0} × Quantity: <span id="qty-${item.id}">${item.quantity || 1}</span> = ₹<span id="total-${item.id}">${(item.price || 0) * (item.quantity || 1)}</span></span>
+      <span>Price: ${formatPrice(item.price || 0, item)} × Quantity: <span id="qty-${item.key}">${item.quantity || 1}</span> = <span id="total-${item.key}">${formatPrice((item.price || 0) * (item.quantity || 1), item)}</span></span>
     `;
     
     // Quantity controls
@@ -158,27 +342,30 @@ function loadCart() {
     decreaseBtn.style.cssText = 'padding:5px 12px;background:#222;color:white;border:none;cursor:pointer;border-radius:5px;font-size:16px;font-weight:bold;';
     decreaseBtn.onclick = function(e) {
       e.preventDefault();
-      // FIX: Get fresh quantity to avoid stale closure
-      const freshCart = getCart();
-      const freshItem = freshCart.find(i => String(i.id) === String(item.id));
-      const currentQty = freshItem ? (freshItem.quantity || 1) : 1;
+      // Read the current line to avoid a stale closure
+      const freshItem = window.veloraCart.getItem(item.key);
+      const currentQty = freshItem ? freshItem.quantity : 1;
       
       if (currentQty > 1) {
-        updateCartQuantity(item.id, currentQty - 1);
+        updateCartQuantity(item.key, currentQty - 1);
       }
     };
     
     const increaseBtn = document.createElement('button');
     increaseBtn.textContent = '+';
     increaseBtn.style.cssText = 'padding:5px 12px;background:#222;color:white;border:none;cursor:pointer;border-radius:5px;font-size:16px;font-weight:bold;';
+    // Quantity limit / stock reached: nothing more to add
+    if ((item.quantity || 1) >= window.veloraCart.getLimit(item.sku)) {
+      increaseBtn.disabled = true;
+      increaseBtn.title = 'Maximum quantity reached';
+    }
     increaseBtn.onclick = function(e) {
       e.preventDefault();
-      // FIX: Get fresh quantity to avoid stale closure
-      const freshCart = getCart();
-      const freshItem = freshCart.find(i => String(i.id) === String(item.id));
-      const currentQty = freshItem ? (freshItem.quantity || 1) : 1;
+      // Read the current line to avoid a stale closure
+      const freshItem = window.veloraCart.getItem(item.key);
+      const currentQty = freshItem ? freshItem.quantity : 1;
       
-      updateCartQuantity(item.id, currentQty + 1);
+      updateCartQuantity(item.key, currentQty + 1);
     };
     
     qtyControls.appendChild(decreaseBtn);
@@ -189,20 +376,9 @@ function loadCart() {
     removeBtn.style.cssText = 'padding:5px 10px;background:#ff4081;color:white;border:none;cursor:pointer;border-radius:5px;margin-left:10px;';
     removeBtn.onclick = function(e) {
       e.preventDefault();
-      
-      // Track remove from cart event using ACDL e-commerce event
+      // The cart emits removeFromCart for the whole line
       // NOTE: No linkClicked event for cart actions (per spec)
-      if (window.adl && window.adl.trackRemoveFromCart) {
-        window.adl.trackRemoveFromCart({
-          productID: item.id || '',
-          productName: item.name || '',
-          category: item.category || '',
-          price: item.price || 0,
-          quantity: item.quantity || 1
-        });
-      }
-      
-      removeFromCart(item.id);
+      removeFromCart(item.key);
     };
     
     itemInfo.appendChild(qtyControls);
@@ -212,109 +388,72 @@ function loadCart() {
     cartItemsEl.appendChild(li);
   });
   
+  // Order totals (same engine as checkout and purchase)
+  if (totalsEl) totalsEl.innerHTML = renderTotalsSummary(window.veloraCart.getTotals());
+  
   // Show checkout button if cart has items
   if (checkoutSection) {
     checkoutSection.style.display = cart.length > 0 ? 'block' : 'none';
   }
 }
 
-// Update cart quantity (for +/- buttons)
-function updateCartQuantity(productId, newQuantity) {
-  const cart = getCart();
-  const item = cart.find(i => String(i.id) === String(productId));
-  
-  if (!item) return;
-  
-  // Update quantity
-  item.quantity = Math.max(1, newQuantity); // Ensure quantity is at least 1
-  setCart(cart);
-  
-  // Update UI
-  const qtyEl = document.getElementById('qty-' + productId);
-  const totalEl = document.getElementById('total-' + productId);
-  if (qtyEl) qtyEl.textContent = item.quantity;
-  if (totalEl) totalEl.textContent = (item.price || 0) * item.quantity;
-  
-  // Update cart badge
-  initCart();
-  
-  // Update web.productDetails in data layer (NO scView event)
-  if (window.adl && window.adl.updateProductDetails) {
-    const products = cart.map(function(cartItem) {
-      return {
-        productID: cartItem.id || '',
-        productName: cartItem.name || '',
-        brand: cartItem.brand || '',
-        category: cartItem.category || '',
-        price: cartItem.price || 0,
-        quantity: cartItem.quantity || 1,
-        color: cartItem.color || '',
-        size: cartItem.size || '',
-        currency: 'INR'
-      };
-    });
-    window.adl.updateProductDetails(products);
-  }
+// Update cart quantity (for +/- buttons); quantity is clamped to 1..limit
+// The cart emits addToCart/removeFromCart for the difference (e.g. +1)
+// UI refresh happens in the cart change listener below
+function updateCartQuantity(lineKey, newQuantity, options) {
+  const key = resolveLineKey(lineKey);
+  if (!key) return null;
+  return window.veloraCart.setQuantity(key, Math.max(1, newQuantity), options); // Ensure quantity is at least 1
 }
 
-// Remove item from cart
-// NOTE: Tracking is handled by the calling code (button onclick) to avoid duplicate events
-function removeFromCart(productId) {
-  const cart = getCart();
-  const item = cart.find(i => String(i.id) === String(productId));
-  const updatedCart = cart.filter(item => String(item.id) !== String(productId));
-  setCart(updatedCart);
-  loadCart();
+// Remove item from cart (the cart emits removeFromCart)
+function removeFromCart(lineKey, options) {
+  const key = resolveLineKey(lineKey);
+  if (!key) return null;
+  return window.veloraCart.remove(key, options);
+}
+
+// Keep the badge, cart list and web.productDetails (NO scView event) in step with the cart
+function onCartChange() {
   initCart();
-  
-  // Update web.productDetails after removal (NO scView event)
+  if (getPageType() !== 'cart') return;
+  loadCart();
   if (window.adl && window.adl.updateProductDetails) {
-    const products = updatedCart.map(function(cartItem) {
-      return {
-        productID: cartItem.id || '',
-        productName: cartItem.name || '',
-        brand: cartItem.brand || '',
-        category: cartItem.category || '',
-        price: cartItem.price || 0,
-        quantity: cartItem.quantity || 1,
-        color: cartItem.color || '',
-        size: cartItem.size || '',
-        currency: 'INR'
-      };
-    });
-    window.adl.updateProductDetails(products);
+    window.adl.updateProductDetails(cartProductDetails());
   }
 }
+if (window.veloraCart) window.veloraCart.onChange(onCartChange);
 
 // Add to cart handler
 // CRITICAL: This function should NOT navigate - cart must work without breaking
-// NOTE: Tracking is handled by the calling code (HTML onclick handlers) to avoid duplicate events
-function handleAddToCart(productId, qty=1, skipTracking=false) {
-  const prod = products.find(p=>p.id===String(productId));
+// The cart emits addToCart for the units actually added; skipTracking is for bulk restores only
+// sku selects a variant; without it the product's default variant is added
+// context: optional { linkPosition, linkType } for the addToCart event
+function handleAddToCart(productId, qty=1, skipTracking=false, sku='', context) {
+  const catalog = window.veloraCatalog;
+  const prod = catalog && catalog.getById(productId);
   if (!prod) return;
-  const cart = getCart();
-  const existing = cart.find(i=>String(i.id)===String(productId));
-  if (existing) {
-    existing.quantity = (existing.quantity||1)+qty;
-  } else {
-    cart.push({ ...prod, quantity: qty });
-  }
-  setCart(cart);
-  initCart();
+  const entry = sku ? catalog.getBySku(sku) : null;
+  const variant = entry && entry.product.id === prod.id ? entry.variant : null;
+  const item = catalog.toItem(prod, variant);
+  const result = window.veloraCart.add(item, qty, Object.assign({}, context, skipTracking ? { track: false } : {}));
   
   // Visual feedback
-  if (typeof window !== 'undefined' && window.console) {
+  if (!result.ok) {
+    console.warn('Cart: ' + prod.name + ' not added (' + result.reason + ')');
+  } else if (typeof window !== 'undefined' && window.console) {
     console.log('✓ Product added to cart:', prod.name);
   }
+  return result;
 }
 
 // Compatibility wrapper so existing inline onclick="addToCart(...)" calls work
-function addToCart(productOrId, qty = 1) {
+function addToCart(productOrId, qty = 1, context) {
   try {
     // if an object with id provided, or a raw id string/number
     const id = productOrId && (productOrId.id || productOrId.productId || productOrId);
     if (!id) return;
-    handleAddToCart(String(id), qty);
+    handleAddToCart(String(id), qty, false, productOrId && productOrId.sku, context);
   } catch (e) {
     console.error('addToCart wrapper error', e);
   }
@@ -322,7 +461,7 @@ function addToCart(productOrId, qty = 1) {
 
 // View product (navigate to pdp) handler
 function handleViewProduct(productId) {
-  const prod = products.find(p=>p.id===String(productId));
+  const prod = window.veloraCatalog ? window.veloraCatalog.getById(productId) : null;
   const url = 'pdp.html?id=' + encodeURIComponent(productId);
   
   // Track link click with navigation (default behavior)
@@ -340,6 +479,43 @@ function handleViewProduct(productId) {
   // Navigation is handled by trackLinkClick (after 300ms)
 }
 
+// Consent banner while any category is undecided (consent.js holds events until then)
+function renderConsentBanner() {
+  const consent = window.veloraConsent;
+  if (!consent || !consent.isPending() || document.getElementById('consentBanner')) return;
+
+  const labels = { analytics: 'Analytics', marketing: 'Marketing', personalization: 'Personalization' };
+  const banner = document.createElement('div');
+  banner.id = 'consentBanner';
+  banner.setAttribute('role', 'dialog');
+  banner.setAttribute('aria-label', 'Cookie consent');
+  banner.style.cssText = 'position:fixed;left:0;right:0;bottom:0;z-index:1000;background:#222;color:#fff;padding:16px 20px;box-shadow:0 -2px 10px rgba(0,0,0,0.3);';
+  banner.innerHTML = `
+    <p style="margin:0 0 10px 0;">We use cookies to measure how the shop is used and to personalise offers. Choose what you allow:</p>
+    <div style="display:flex;gap:16px;flex-wrap:wrap;margin-bottom:10px;">
+      ${consent.categories.map(c => `<label><input type="checkbox" name="${c}" ${consent.getStatus()[c] === 'granted' ? 'checked' : ''}> ${labels[c] || c}</label>`).join('')}
+    </div>
+    <div style="display:flex;gap:10px;">
+      <button type="button" data-consent-action="accept" style="padding:8px 16px;background:#ff4081;color:white;border:none;cursor:pointer;border-radius:5px;">Accept all</button>
+      <button type="button" data-consent-action="save" style="padding:8px 16px;background:#f0f0f0;color:#333;border:none;cursor:pointer;border-radius:5px;">Save choices</button>
+      <button type="button" data-consent-action="reject" style="padding:8px 16px;background:#666;color:white;border:none;cursor:pointer;border-radius:5px;">Reject all</button>
+    </div>`;
+
+  banner.addEventListener('click', function(e) {
+    const action = e.target && e.target.getAttribute('data-consent-action');
+    if (!action) return;
+    if (action === 'accept') consent.acceptAll({ source: 'banner' });
+    if (action === 'reject') consent.rejectAll({ source: 'banner' });
+    if (action === 'save') {
+      const choices = {};
+      consent.categories.forEach(function(c) { choices[c] = !!banner.querySelector('input[name="' + c + '"]').checked; });
+      consent.update(choices, { source: 'banner' });
+    }
+    banner.parentNode.removeChild(banner);
+  });
+  document.body.appendChild(banner);
+}
+
 // Attach global click instrumentation (centralized)
 // This provides fallback tracking for links that don't have explicit onclick handlers
 function attachGlobalClickInstrumentation() {
@@ -359,7 +535,7 @@ function attachGlobalClickInstrumentation() {
       const pid = target.dataset.productId || target.closest('.product')?.dataset?.productId;
       if (pid) { 
         e.preventDefault(); 
-        handleAddToCart(pid, 1); 
+        handleAddToCart(pid, 1, false, target.dataset.sku); 
       }
       return;
     }
@@ -407,20 +583,14 @@ function attachGlobalClickInstrumentation() {
 // Init on DOM ready
 document.addEventListener('DOMContentLoaded', function(){
   try {
-    if (document.getElementById('pdpContainer')) {
-      const params = new URLSearchParams(window.location.search);
-      const id = params.get('id');
-      const prod = products.find(p=>p.id===String(id));
-      if (prod) {
-        renderProducts('pdpContainer', [prod]);
-        // Product detail view is tracked via pageLoad event for product page type
-      }
-    }
+    // pdp.html renders its own product view (variants, pageLoaded)
 
     // Attach instrumentation
     attachGlobalClickInstrumentation();
 
     // Init cart badge
     initCart();
+
+    renderConsentBanner();
   } catch (e) { console.error(e); }
 });
@@ -0,0 +1,245 @@
+/*
+ * Velora Event Collector
+ * Purpose: Local server for QA on any OS (start-server.ps1 is Windows-only).
+ * Serves the site like start-server.ps1 and records the events adl-transport.js
+ * sends, so a whole journey can be checked without a browser console.
+ *
+ *   node collector.js [--port 3000] [--file events.jsonl]
+ *
+ * Endpoints:
+ *   POST /collect  - batch from adl-transport.js:
+ *                    { sentAt, sessionID, visitorID, page, events: [{ id, queuedAt, data }] }
+ *                    Each event is appended to the JSONL file as one line:
+ *                    { id, receivedAt, queuedAt, sessionID, visitorID, page, event, data }
+ *                    Events already recorded (same id, e.g. a retried batch) are skipped.
+ *   GET /events    - recorded events as a JSON array, oldest first. Filters:
+ *                    event=scPurchase (comma-separated for several), session=<sessionID>,
+ *                    from=<ISO time>, to=<ISO time> (on queuedAt), limit=<n> (newest n)
+ *   DELETE /events - clear the file (start a fresh journey)
+ *   anything else  - site file from this folder (top level only, the types in
+ *                    CONTENT_TYPES; never dotfiles or the events file)
+ *
+ * No dependencies beyond Node itself.
+ */
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = __dirname;
+const MAX_BODY = 1024 * 1024; // bytes per batch
+
+// Site assets served as static files; nothing else is readable over HTTP
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript',
+  '.css': 'text/css',
+  '.json': 'application/json',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.ico': 'image/x-icon'
+};
+
+function readArgs(argv) {
+  const args = { port: Number(process.env.PORT) || 3000, file: process.env.EVENTS_FILE || 'events.jsonl' };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--port') args.port = Number(argv[++i]);
+    else if (argv[i] === '--file') args.file = argv[++i];
+  }
+  args.file = path.resolve(ROOT, args.file);
+  return args;
+}
+
+// ============================================================================
+// EVENT STORE
+// ============================================================================
+
+function readEvents(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(function(line) {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null; // a half-written line from a crash
+    }
+  }).filter(Boolean);
+}
+
+/**
+ * Turn a batch into one record per event
+ * @returns {Array|null} Records, or null when the body is not a batch
+ */
+function recordsFromBatch(batch) {
+  if (!batch || typeof batch !== 'object' || !Array.isArray(batch.events)) return null;
+  const receivedAt = new Date().toISOString();
+  return batch.events.filter(function(entry) {
+    return entry && entry.data && typeof entry.data === 'object';
+  }).map(function(entry) {
+    return {
+      id: entry.id || '',
+      receivedAt: receivedAt,
+      queuedAt: entry.queuedAt || receivedAt,
+      sessionID: batch.sessionID || '',
+      visitorID: batch.visitorID || '',
+      page: batch.page || '',
+      event: entry.data.event || '',
+      data: entry.data
+    };
+  });
+}
+
+/**
+ * Apply the /events query filters
+ * @param {Array} records - Recorded events
+ * @param {URLSearchParams} query - event, session, from, to, limit
+ */
+function filterEvents(records, query) {
+  const events = query.get('event') ? query.get('event').split(',') : null;
+  const session = query.get('session');
+  const from = query.get('from') ? Date.parse(query.get('from')) : NaN;
+  const to = query.get('to') ? Date.parse(query.get('to')) : NaN;
+  const limit = Number(query.get('limit'));
+
+  const matches = records.filter(function(record) {
+    const at = Date.parse(record.queuedAt);
+    if (events && events.indexOf(record.event) === -1) return false;
+    if (session && record.sessionID !== session) return false;
+    if (!isNaN(from) && at < from) return false;
+    if (!isNaN(to) && at > to) return false;
+    return true;
+  });
+  return limit > 0 ? matches.slice(-limit) : matches;
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+function send(res, status, body, type) {
+  const content = typeof body === 'string' || Buffer.isBuffer(body) ? body : JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    'Content-Type': type || 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Cache-Control': 'no-store'
+  });
+  res.end(status === 204 ? undefined : content);
+}
+
+function readBody(req, callback) {
+  let size = 0;
+  const chunks = [];
+  req.on('data', function(chunk) {
+    size += chunk.length;
+    if (size > MAX_BODY) {
+      // Stop collecting but keep draining: destroying the socket would lose the
+      // 413, and adl-transport.js would retry the batch as a network error
+      req.removeAllListeners('data');
+      req.resume();
+      callback(new Error('too_large'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', function() {
+    if (size <= MAX_BODY) callback(null, Buffer.concat(chunks).toString('utf8'));
+  });
+}
+
+/**
+ * Whether a file may be served: the site's pages and assets sit at the top
+ * of this folder, so subfolders (node_modules, tests, .git), dotfiles, other
+ * file types and the events file are not
+ */
+function isServable(filePath, eventsFile) {
+  const relative = path.relative(ROOT, filePath);
+  if (!relative || relative !== path.basename(relative)) return false;
+  if (relative.charAt(0) === '.' || filePath === eventsFile) return false;
+  return !!CONTENT_TYPES[path.extname(relative).toLowerCase()];
+}
+
+function serveStatic(req, res, pathname, eventsFile) {
+  let relative = '';
+  try {
+    relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+  } catch (e) {
+    return send(res, 400, '400 - Bad Request', 'text/plain');
+  }
+  const filePath = path.join(ROOT, path.normalize(relative));
+  if (!isServable(filePath, eventsFile)) return send(res, 404, '404 - File Not Found: ' + pathname, 'text/plain');
+
+  fs.readFile(filePath, function(err, content) {
+    if (err) return send(res, 404, '404 - File Not Found: ' + pathname, 'text/plain');
+    send(res, 200, content, CONTENT_TYPES[path.extname(filePath).toLowerCase()]);
+  });
+}
+
+function createCollector(options) {
+  const file = options.file;
+  const seen = new Set(readEvents(file).map(function(record) { return record.id; }).filter(Boolean));
+
+  return http.createServer(function(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      return res.end();
+    }
+
+    if (url.pathname === '/collect') {
+      if (req.method !== 'POST') return send(res, 405, { error: 'POST a batch to /collect' });
+      return readBody(req, function(err, body) {
+        if (err) return send(res, 413, { error: 'batch larger than ' + MAX_BODY + ' bytes' });
+        let records = null;
+        try {
+          records = recordsFromBatch(JSON.parse(body));
+        } catch (e) {}
+        if (!records) return send(res, 400, { error: 'expected { sessionID, visitorID, page, events: [...] }' });
+
+        const fresh = records.filter(function(record) { return !record.id || !seen.has(record.id); });
+        fresh.forEach(function(record) { if (record.id) seen.add(record.id); });
+        if (fresh.length) {
+          fs.appendFileSync(file, fresh.map(function(record) { return JSON.stringify(record); }).join('\n') + '\n');
+          console.log('Collector: ' + fresh.map(function(record) { return record.event; }).join(', ') + ' (' + (fresh[0].page || '?') + ')');
+        }
+        send(res, 204);
+      });
+    }
+
+    if (url.pathname === '/events') {
+      if (req.method === 'GET') return send(res, 200, filterEvents(readEvents(file), url.searchParams));
+      if (req.method === 'DELETE') {
+        fs.writeFileSync(file, '');
+        seen.clear();
+        console.log('Collector: events cleared');
+        return send(res, 204);
+      }
+      return send(res, 405, { error: 'GET or DELETE /events' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') return send(res, 405, '405 - Method Not Allowed', 'text/plain');
+    serveStatic(req, res, url.pathname, file);
+  });
+}
+
+if (require.main === module) {
+  const args = readArgs(process.argv.slice(2));
+  createCollector(args).listen(args.port, function() {
+    console.log('Velora collector running at http://localhost:' + args.port);
+    console.log('Events are written to ' + args.file + ' - query them at http://localhost:' + args.port + '/events');
+  });
+}
+
+module.exports = {
+  createCollector: createCollector,
+  recordsFromBatch: recordsFromBatch,
+  filterEvents: filterEvents,
+  isServable: isServable
+};
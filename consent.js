@@ -0,0 +1,334 @@
+/*
+ * Velora Consent
+ * Purpose: Gate data layer pushes and tag loading on the shopper's consent
+ * (GDPR / DPDP). Three categories, each 'pending' until the shopper decides,
+ * then 'granted' or 'denied':
+ *
+ *   analytics       - page, link and commerce events; the Launch library
+ *   marketing       - advertising tags
+ *   personalization - recommendations and content targeting
+ *
+ * adl-utils.js asks admit(item) for every push. Events whose category is
+ * pending are held in a queue; once the shopper decides they are pushed
+ * (granted) or dropped (denied). consentChanged itself always goes through.
+ * The queue is kept in sessionStorage, so events held on one page (the click
+ * that left it, say) are offered again on the next; released events from an
+ * earlier page carry consentReplay: { page, queuedAt }.
+ * The decision is saved in a cookie (default) or localStorage.
+ *
+ * Tags wait for consent when written as
+ *   <script type="text/plain" data-consent="analytics" data-src="..."></script>
+ * and are loaded once their category is granted.
+ *
+ * Load this before adl-utils.js so restored events are gated too.
+ *
+ * Exposes: window.veloraConsent
+ */
+(function (window) {
+  'use strict';
+
+  const CONSENT_KEY = 'velora_consent';
+  const QUEUE_KEY = 'velora_consentQueue';
+  const CONSENT_VERSION = 1;
+  const CATEGORIES = ['analytics', 'marketing', 'personalization'];
+  const STATUSES = ['pending', 'granted', 'denied'];
+
+  const DEFAULT_CONSENT_CONFIG = {
+    storage: 'cookie',                 // 'cookie' | 'localStorage'
+    maxAge: 180 * 24 * 60 * 60,        // seconds a decision is kept (cookie max-age)
+    maxQueue: 100,                     // events held while pending
+    // Category per event name; '*' covers everything not listed
+    eventCategories: { '*': 'analytics' },
+    // Status before the shopper decides, e.g. { analytics: 'granted' } where opt-out applies
+    defaults: {}
+  };
+
+  let consentConfig = JSON.parse(JSON.stringify(DEFAULT_CONSENT_CONFIG));
+  // Held events: { item, view, page, queuedAt }
+  let queue = [];
+
+  // This page view; queued events from another view are marked when released
+  const PAGE_VIEW = Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 6);
+
+  // ============================================================================
+  // STORAGE
+  // ============================================================================
+
+  function readCookie(name) {
+    const prefix = name + '=';
+    const entry = String(window.document.cookie || '').split(/;\s*/).filter(function(c) { return c.indexOf(prefix) === 0; })[0];
+    return entry ? decodeURIComponent(entry.slice(prefix.length)) : null;
+  }
+
+  function readRecord() {
+    try {
+      const raw = consentConfig.storage === 'localStorage'
+        ? window.localStorage.getItem(CONSENT_KEY)
+        : readCookie(CONSENT_KEY);
+      const record = JSON.parse(raw || 'null');
+      if (record && record.version === CONSENT_VERSION && record.categories) return record;
+    } catch (e) {
+      console.error('Consent: Error reading consent', e);
+    }
+    return null;
+  }
+
+  function writeRecord(record) {
+    try {
+      const value = JSON.stringify(record);
+      if (consentConfig.storage === 'localStorage') {
+        window.localStorage.setItem(CONSENT_KEY, value);
+      } else {
+        window.document.cookie = CONSENT_KEY + '=' + encodeURIComponent(value) +
+          '; max-age=' + consentConfig.maxAge + '; path=/; SameSite=Lax';
+      }
+    } catch (e) {
+      console.error('Consent: Error saving consent', e);
+    }
+  }
+
+  function readQueue() {
+    try {
+      const stored = JSON.parse(window.sessionStorage.getItem(QUEUE_KEY) || '[]');
+      return Array.isArray(stored) ? stored.filter(function(entry) { return entry && entry.item; }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveQueue() {
+    try {
+      if (queue.length) window.sessionStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      else window.sessionStorage.removeItem(QUEUE_KEY);
+    } catch (e) {
+      console.error('Consent: Error saving queue', e);
+    }
+  }
+
+  function currentStatus() {
+    const record = readRecord();
+    const status = {};
+    CATEGORIES.forEach(function(category) {
+      if (record && typeof record.categories[category] === 'boolean') {
+        status[category] = record.categories[category] ? 'granted' : 'denied';
+      } else {
+        status[category] = STATUSES.indexOf(consentConfig.defaults[category]) !== -1 ? consentConfig.defaults[category] : 'pending';
+      }
+    });
+    return status;
+  }
+
+  // ============================================================================
+  // QUEUE & TAGS
+  // ============================================================================
+
+  function categoryFor(item) {
+    const map = consentConfig.eventCategories || {};
+    const name = item && typeof item === 'object' ? item.event : '';
+    return (name && map[name]) || map['*'] || 'analytics';
+  }
+
+  /**
+   * The queued item as it is released; events held on an earlier page are marked
+   */
+  function releasedItem(entry) {
+    if (entry.view === PAGE_VIEW) return entry.item;
+    return Object.assign({}, entry.item, { consentReplay: { page: entry.page, queuedAt: entry.queuedAt } });
+  }
+
+  /**
+   * Push queued events whose category is now granted, drop the denied ones
+   */
+  function flushQueue() {
+    const status = currentStatus();
+    const held = queue;
+    queue = [];
+    let released = 0;
+    let dropped = 0;
+    held.forEach(function(entry) {
+      const state = status[categoryFor(entry.item)];
+      if (state === 'granted') {
+        window.adobeDataLayer.push(releasedItem(entry));
+        released++;
+      } else if (state === 'denied') {
+        dropped++;
+      } else {
+        queue.push(entry);
+      }
+    });
+    saveQueue();
+    if (released || dropped) console.log('Consent: released ' + released + ', dropped ' + dropped + ' queued events');
+  }
+
+  /**
+   * Load <script type="text/plain" data-consent="..."> tags whose category is granted
+   */
+  function activateTags() {
+    if (!window.document || !window.document.querySelectorAll) return;
+    const status = currentStatus();
+    const tags = window.document.querySelectorAll('script[type="text/plain"][data-consent]');
+    Array.prototype.forEach.call(tags, function(tag) {
+      if (status[tag.getAttribute('data-consent')] !== 'granted') return;
+      const script = window.document.createElement('script');
+      if (tag.getAttribute('data-src')) {
+        script.src = tag.getAttribute('data-src');
+        script.async = true;
+      } else {
+        script.text = tag.text;
+      }
+      tag.parentNode.replaceChild(script, tag);
+    });
+  }
+
+  window.veloraConsent = {
+
+    /**
+     * Consent categories, in display order
+     */
+    categories: CATEGORIES.slice(0),
+
+    /**
+     * Override storage, queue size, event categories or default statuses (merged into the defaults)
+     * @param {Object} config - { storage: 'cookie'|'localStorage', maxAge, maxQueue, eventCategories, defaults }
+     * @returns {Object} Active settings
+     */
+    configure: function(config) {
+      const cfg = config || {};
+      consentConfig = Object.assign(JSON.parse(JSON.stringify(DEFAULT_CONSENT_CONFIG)), cfg, {
+        eventCategories: Object.assign({}, DEFAULT_CONSENT_CONFIG.eventCategories, cfg.eventCategories),
+        defaults: Object.assign({}, cfg.defaults)
+      });
+      return JSON.parse(JSON.stringify(consentConfig));
+    },
+
+    /**
+     * @returns {Object} { analytics, marketing, personalization }: 'pending' | 'granted' | 'denied'
+     */
+    getStatus: function() {
+      return currentStatus();
+    },
+
+    /**
+     * @param {string} category - Consent category
+     * @returns {boolean} Whether the category is granted
+     */
+    isGranted: function(category) {
+      return currentStatus()[category] === 'granted';
+    },
+
+    /**
+     * @returns {boolean} Whether any category still waits for a decision
+     */
+    isPending: function() {
+      const status = currentStatus();
+      return CATEGORIES.some(function(category) { return status[category] === 'pending'; });
+    },
+
+    /**
+     * Record the shopper's decision; emits consentChanged, then releases or drops queued events
+     * @param {Object} choices - { analytics: true|false, marketing, personalization } (missing = unchanged)
+     * @param {Object} options - Optional: { source: 'banner' | 'api' | ... }
+     * @returns {Object} New status per category
+     */
+    update: function(choices, options) {
+      const opts = options || {};
+      const previous = currentStatus();
+      const record = readRecord() || { version: CONSENT_VERSION, categories: {} };
+      CATEGORIES.forEach(function(category) {
+        if (choices && typeof choices[category] === 'boolean') record.categories[category] = choices[category];
+      });
+      record.decidedAt = new Date().toISOString();
+      writeRecord(record);
+
+      const status = currentStatus();
+      if (window.veloraIdentity && typeof window.veloraIdentity.applyConsent === 'function') {
+        window.veloraIdentity.applyConsent(status);
+      }
+      if (window.adl && typeof window.adl.trackConsentChanged === 'function') {
+        window.adl.trackConsentChanged({ categories: status, previous: previous, source: opts.source || 'api' });
+      }
+      flushQueue();
+      activateTags();
+      return status;
+    },
+
+    /**
+     * Grant every category
+     * @param {Object} options - Optional: { source }
+     */
+    acceptAll: function(options) {
+      const choices = {};
+      CATEGORIES.forEach(function(category) { choices[category] = true; });
+      return this.update(choices, options);
+    },
+
+    /**
+     * Deny every category
+     * @param {Object} options - Optional: { source }
+     */
+    rejectAll: function(options) {
+      const choices = {};
+      CATEGORIES.forEach(function(category) { choices[category] = false; });
+      return this.update(choices, options);
+    },
+
+    /**
+     * Forget the decision (every category back to its default)
+     */
+    reset: function() {
+      try {
+        window.localStorage.removeItem(CONSENT_KEY);
+        window.document.cookie = CONSENT_KEY + '=; max-age=0; path=/';
+      } catch (e) {}
+    },
+
+    /**
+     * Gate for adl-utils.js: whether a push may enter the data layer now.
+     * Pending pushes are queued (and pushed again later), denied ones dropped.
+     * @param {Object} item - Item being pushed
+     * @returns {boolean} true to push now
+     */
+    admit: function(item) {
+      if (!item || typeof item !== 'object' || item.event === 'consentChanged') return true;
+      const state = currentStatus()[categoryFor(item)];
+      if (state === 'granted') return true;
+      if (state === 'pending') {
+        if (queue.length < consentConfig.maxQueue) {
+          queue.push({
+            item: item,
+            view: PAGE_VIEW,
+            page: window.location.pathname.split('/').pop() || 'index.html',
+            queuedAt: new Date().toISOString()
+          });
+          saveQueue();
+        } else {
+          console.error('Consent: queue full, event dropped:', item.event);
+        }
+      }
+      return false;
+    },
+
+    /**
+     * @returns {Array} Events waiting for a decision
+     */
+    getQueue: function() {
+      return queue.map(function(entry) { return entry.item; });
+    }
+  };
+
+  // Events held on earlier pages of this tab; released (before this page's own
+  // events) if the shopper decided meanwhile, e.g. in another tab
+  queue = readQueue();
+
+  function start() {
+    if (queue.length && window.adobeDataLayer) flushQueue();
+    activateTags();
+  }
+
+  if (window.document && window.document.readyState === 'loading') {
+    window.document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+
+})(window);
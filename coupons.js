@@ -0,0 +1,256 @@
+/*
+ * Velora Coupons
+ * Purpose: Promo codes for the cart/checkout flow. Codes are loaded from
+ * coupons.json (or an injected array), checked against the cart and turned
+ * into discounts for the totals engine (totals.js).
+ *
+ * Coupon shape (coupons.json):
+ *   { code, type: 'percent'|'fixed'|'free_shipping', value, description,
+ *     validFrom?, validTo?, minSpend?, categories? }
+ *
+ *  - validFrom / validTo: ISO dates; a date without a time covers the whole day
+ *  - minSpend: cart subtotal (before discounts) needed
+ *  - categories: the cart needs an item from one of them; percent codes only
+ *    discount those items, fixed codes come off the order
+ *
+ * Applying a code emits couponApplied or couponRejected through adl-utils.js.
+ * Applied codes are kept next to the cart (same storage) and dropped when the
+ * cart is cleared.
+ *
+ * Exposes: window.veloraCoupons
+ */
+(function (window) {
+  'use strict';
+
+  const DEFAULT_SOURCE = 'coupons.json';
+  const APPLIED_KEY = 'velora_coupons';
+
+  let coupons = {};
+  let loading = null;
+
+  function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  function parseDate(value, endOfDay) {
+    if (!value) return null;
+    const str = String(value);
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(str) ? str + (endOfDay ? 'T23:59:59.999' : 'T00:00:00') : str);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  function indexCoupons(list) {
+    coupons = {};
+    (list || []).forEach(function(c) {
+      if (!c || !c.code) return;
+      const code = normalizeCode(c.code);
+      coupons[code] = Object.assign({}, c, { code: code, value: Number(c.value) || 0 });
+    });
+    return Object.keys(coupons).map(function(code) { return coupons[code]; });
+  }
+
+  function getStorage() {
+    return window.veloraCart ? window.veloraCart.storage : window.localStorage;
+  }
+
+  function readApplied() {
+    try {
+      const stored = JSON.parse(getStorage().getItem(APPLIED_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function writeApplied(codes) {
+    try {
+      if (codes.length) getStorage().setItem(APPLIED_KEY, JSON.stringify(codes));
+      else getStorage().removeItem(APPLIED_KEY);
+    } catch (e) {
+      console.error('Coupons: Error saving applied codes', e);
+    }
+  }
+
+  function eligibleLines(coupon, lines) {
+    if (!coupon.categories || !coupon.categories.length) return lines;
+    const wanted = coupon.categories.map(function(c) { return String(c).toLowerCase(); });
+    return lines.filter(function(l) { return wanted.indexOf(String(l.category || '').toLowerCase()) !== -1; });
+  }
+
+  /**
+   * Discount entries for the totals engine
+   */
+  function toDiscounts(coupon) {
+    if (coupon.type === 'percent' && coupon.categories && coupon.categories.length) {
+      return coupon.categories.map(function(category) {
+        return { id: coupon.code, scope: 'line', type: 'percent', value: coupon.value, category: category };
+      });
+    }
+    return [{ id: coupon.code, scope: 'order', type: coupon.type, value: coupon.value }];
+  }
+
+  window.veloraCoupons = {
+
+    /**
+     * Load coupon definitions
+     * @param {string|Array} source - URL of a coupons.json file, or an array of coupons (default 'coupons.json')
+     * @returns {Promise<Array>} Resolves with the loaded coupons (empty on failure)
+     */
+    load: function(source) {
+      const src = source || DEFAULT_SOURCE;
+
+      if (Array.isArray(src)) {
+        loading = Promise.resolve(indexCoupons(src));
+        return loading;
+      }
+
+      loading = fetch(src)
+        .then(function(response) {
+          if (!response.ok) throw new Error('HTTP ' + response.status + ' loading ' + src);
+          return response.json();
+        })
+        .then(indexCoupons)
+        .catch(function(e) {
+          console.error('Coupons: Error loading coupons from ' + src, e);
+          return indexCoupons([]);
+        });
+      return loading;
+    },
+
+    /**
+     * Wait for the coupon definitions, loading coupons.json if nothing was loaded yet
+     * @returns {Promise<Array>}
+     */
+    ready: function() {
+      return loading || this.load();
+    },
+
+    /**
+     * @param {string} code - Coupon code (case-insensitive)
+     * @returns {Object|null} Coupon definition or null
+     */
+    get: function(code) {
+      return coupons[normalizeCode(code)] || null;
+    },
+
+    /**
+     * Check a code against the cart without applying it
+     * @param {string} code - Coupon code
+     * @param {Array} lines - Cart lines (default: current cart)
+     * @param {Date} now - Optional date to check validity against
+     * @returns {Object} { valid, code, coupon, reason }
+     *   reason: 'empty_code' | 'unknown_code' | 'not_started' | 'expired' | 'min_spend' | 'not_eligible'
+     */
+    validate: function(code, lines, now) {
+      const normalized = normalizeCode(code);
+      const items = lines || (window.veloraCart ? window.veloraCart.getItems() : []);
+      const at = now || new Date();
+      const coupon = coupons[normalized] || null;
+      const result = function(reason) {
+        return { valid: !reason, code: normalized, coupon: coupon, reason: reason || '' };
+      };
+
+      if (!normalized) return result('empty_code');
+      if (!coupon) return result('unknown_code');
+
+      const from = parseDate(coupon.validFrom, false);
+      const to = parseDate(coupon.validTo, true);
+      if (from && at < from) return result('not_started');
+      if (to && at > to) return result('expired');
+
+      const subtotal = items.reduce(function(sum, l) { return sum + (Number(l.price) || 0) * (Number(l.quantity) || 0); }, 0);
+      if (coupon.minSpend && subtotal < coupon.minSpend) return result('min_spend');
+      if (!eligibleLines(coupon, items).length) return result('not_eligible');
+
+      return result('');
+    },
+
+    /**
+     * Apply a code to the cart; emits couponApplied or couponRejected
+     * @param {string} code - Coupon code
+     * @returns {Object} { valid, code, coupon, reason, discountAmount }
+     *   (extra reason 'already_applied')
+     */
+    apply: function(code) {
+      const check = this.validate(code);
+      const applied = readApplied();
+      if (check.valid && applied.indexOf(check.code) !== -1) {
+        check.valid = false;
+        check.reason = 'already_applied';
+      }
+
+      if (!check.valid) {
+        if (window.adl && typeof window.adl.trackCouponRejected === 'function') {
+          window.adl.trackCouponRejected({ code: check.code, reason: check.reason });
+        }
+        return check;
+      }
+
+      const cart = window.veloraCart;
+      const before = cart ? cart.getTotals() : null;
+      applied.push(check.code);
+      writeApplied(applied);
+      const after = cart ? cart.getTotals() : null;
+      check.discountAmount = before && after ? Math.round((before.total - after.total) * 100) / 100 : 0;
+
+      if (window.adl && typeof window.adl.trackCouponApplied === 'function') {
+        window.adl.trackCouponApplied({
+          code: check.code,
+          type: check.coupon.type,
+          value: check.coupon.value,
+          discountAmount: check.discountAmount
+        });
+      }
+      if (cart) cart.notify('coupon', null, cart.quantity, { track: false });
+      return check;
+    },
+
+    /**
+     * Remove an applied code
+     * @param {string} code - Coupon code
+     */
+    remove: function(code) {
+      const normalized = normalizeCode(code);
+      writeApplied(readApplied().filter(function(c) { return c !== normalized; }));
+      const cart = window.veloraCart;
+      if (cart) cart.notify('coupon', null, cart.quantity, { track: false });
+    },
+
+    /**
+     * Drop every applied code
+     */
+    clear: function() {
+      writeApplied([]);
+    },
+
+    /**
+     * Applied codes that are still valid for the given lines (a code stops
+     * counting when, say, the cart drops below its minimum spend)
+     * @param {Array} lines - Cart lines (default: current cart)
+     * @returns {Array} Codes
+     */
+    getAppliedCodes: function(lines) {
+      const self = this;
+      return readApplied().filter(function(code) { return self.validate(code, lines).valid; });
+    },
+
+    /**
+     * Discounts for the totals engine from the applied, still-valid codes
+     * @param {Array} lines - Cart lines (default: current cart)
+     * @returns {Array} Discount entries for veloraTotals.calculate
+     */
+    getDiscounts: function(lines) {
+      return this.getAppliedCodes(lines).reduce(function(all, code) {
+        return all.concat(toDiscounts(coupons[code]));
+      }, []);
+    }
+  };
+
+  // Codes belong to the cart they were applied to
+  if (window.veloraCart) {
+    window.veloraCart.onChange(function(change) {
+      if (change.type === 'clear') window.veloraCoupons.clear();
+    });
+  }
+
+})(window);
@@ -0,0 +1,226 @@
+/*
+ * Velora Form Validation
+ * Purpose: Field checks for the checkout (shipping) and payment forms, inline
+ * error messages, and a formError event per failing field so we can see which
+ * fields make shoppers abandon checkout.
+ *
+ * Field types and their error codes:
+ *   required   - 'required'
+ *   email      - 'required' | 'invalid_format'
+ *   postcode   - 'required' | 'invalid_format' (6-digit PIN code)
+ *   cardNumber - 'required' | 'invalid_format' | 'invalid_length' | 'failed_checksum' (Luhn)
+ *   expiry     - 'required' | 'invalid_format' (MM/YY) | 'expired'
+ *   cvv        - 'required' | 'invalid_format' (3 or 4 digits)
+ *
+ * formError carries the form, field and error code only - never what was typed.
+ *
+ * Exposes: window.veloraForms
+ */
+(function (window) {
+  'use strict';
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+  const POSTCODE_PATTERN = /^[1-9][0-9]{5}$/;
+  const EXPIRY_PATTERN = /^(0[1-9]|1[0-2])\s*\/\s*([0-9]{2}|[0-9]{4})$/;
+
+  const MESSAGES = {
+    required: 'This field is required.',
+    invalid_format: 'Please check the format.',
+    invalid_length: 'Card numbers have 12 to 19 digits.',
+    failed_checksum: 'This card number is not valid.',
+    expired: 'This card has expired.'
+  };
+
+  // Field-specific wording where the generic message is too vague
+  const FIELD_MESSAGES = {
+    email: { invalid_format: 'Please enter a valid email address.' },
+    postcode: { invalid_format: 'Please enter a 6-digit PIN code.' },
+    expiry: { invalid_format: 'Please use MM/YY.' },
+    cvv: { invalid_format: 'The CVV is the 3 or 4 digits on the back of the card.' }
+  };
+
+  function digitsOf(value) {
+    return String(value || '').replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Luhn checksum for a string of digits
+   */
+  function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let digit = Number(digits.charAt(digits.length - 1 - i));
+      if (i % 2 === 1) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    return sum % 10 === 0;
+  }
+
+  // Each validator returns '' when the value is fine, otherwise an error code
+  const VALIDATORS = {
+    required: function(value) {
+      return String(value || '').trim() ? '' : 'required';
+    },
+
+    email: function(value) {
+      const str = String(value || '').trim();
+      if (!str) return 'required';
+      return EMAIL_PATTERN.test(str) ? '' : 'invalid_format';
+    },
+
+    postcode: function(value) {
+      const str = String(value || '').replace(/\s+/g, '');
+      if (!str) return 'required';
+      return POSTCODE_PATTERN.test(str) ? '' : 'invalid_format';
+    },
+
+    cardNumber: function(value) {
+      const digits = digitsOf(value);
+      if (!digits) return 'required';
+      if (!/^[0-9]+$/.test(digits)) return 'invalid_format';
+      if (digits.length < 12 || digits.length > 19) return 'invalid_length';
+      return passesLuhn(digits) ? '' : 'failed_checksum';
+    },
+
+    expiry: function(value, now) {
+      const str = String(value || '').trim();
+      if (!str) return 'required';
+      const match = EXPIRY_PATTERN.exec(str);
+      if (!match) return 'invalid_format';
+
+      const month = Number(match[1]);
+      const year = match[2].length === 2 ? 2000 + Number(match[2]) : Number(match[2]);
+      const at = now || new Date();
+      // Cards are valid through the last day of the expiry month
+      return year * 12 + month < at.getFullYear() * 12 + at.getMonth() + 1 ? 'expired' : '';
+    },
+
+    cvv: function(value) {
+      const str = String(value || '').trim();
+      if (!str) return 'required';
+      return /^[0-9]{3,4}$/.test(str) ? '' : 'invalid_format';
+    }
+  };
+
+  function messageFor(type, code) {
+    return (FIELD_MESSAGES[type] && FIELD_MESSAGES[type][code]) || MESSAGES[code] || MESSAGES.invalid_format;
+  }
+
+  /**
+   * Inline error element for a field, created next to the input on first use
+   */
+  function errorElementFor(input) {
+    const form = input.form || input.ownerDocument;
+    let el = form.querySelector('[data-error-for="' + input.name + '"]');
+    if (!el) {
+      el = input.ownerDocument.createElement('span');
+      el.className = 'field-error';
+      el.setAttribute('data-error-for', input.name);
+      el.setAttribute('role', 'alert');
+      el.style.cssText = 'display:none;color:#c62828;font-size:13px;margin-left:6px;';
+      input.parentNode.insertBefore(el, input.nextSibling);
+    }
+    return el;
+  }
+
+  function showError(input, message) {
+    const el = errorElementFor(input);
+    el.textContent = message;
+    el.style.display = message ? 'inline' : 'none';
+    input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  }
+
+  window.veloraForms = {
+
+    /**
+     * Shopper-facing text per error code
+     */
+    messages: MESSAGES,
+
+    /**
+     * Check one value
+     * @param {string} type - 'required' | 'email' | 'postcode' | 'cardNumber' | 'expiry' | 'cvv'
+     * @param {string} value - Value to check
+     * @param {Date} now - Optional date for the expiry check
+     * @returns {string} Error code, or '' when valid
+     */
+    validateValue: function(type, value, now) {
+      const validator = VALIDATORS[type];
+      if (!validator) {
+        console.error('Forms: Unknown field type ' + type);
+        return '';
+      }
+      return validator(value, now);
+    },
+
+    /**
+     * @param {string} value - Card number (spaces and dashes allowed)
+     * @returns {boolean} Whether the number passes the Luhn check
+     */
+    isLuhnValid: function(value) {
+      const digits = digitsOf(value);
+      return /^[0-9]+$/.test(digits) && passesLuhn(digits);
+    },
+
+    /**
+     * Validate a form's fields on blur and on demand, with inline errors and formError events
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object} fields - Field name -> type, e.g. { email: 'email', zipCode: 'postcode' };
+     *   or { type, optional } when an empty value is allowed
+     * @param {Object} options - Optional: { formName (default form id), step (checkout step name) }
+     * @returns {Object} { validate(): { valid, errors: [{ field, code }] }, reset() }
+     */
+    attach: function(form, fields, options) {
+      const opts = options || {};
+      const formName = opts.formName || form.id || 'form';
+      const reported = {}; // field -> last error code sent, so blur and submit don't repeat it
+
+      const checkField = function(name) {
+        const input = form.elements[name];
+        if (!input) return '';
+        const spec = typeof fields[name] === 'string' ? { type: fields[name] } : fields[name];
+        const code = spec.optional && !String(input.value || '').trim() ? '' : window.veloraForms.validateValue(spec.type, input.value);
+
+        showError(input, code ? messageFor(spec.type, code) : '');
+        if (code && reported[name] !== code && window.adl && typeof window.adl.trackFormError === 'function') {
+          window.adl.trackFormError({ formName: formName, fieldName: name, errorCode: code, step: opts.step });
+        }
+        reported[name] = code;
+        return code;
+      };
+
+      Object.keys(fields).forEach(function(name) {
+        const input = form.elements[name];
+        if (!input) return;
+        input.addEventListener('blur', function() {
+          if (String(input.value || '').trim()) checkField(name);
+        });
+      });
+
+      return {
+        validate: function() {
+          const errors = [];
+          Object.keys(fields).forEach(function(name) {
+            const code = checkField(name);
+            if (code) errors.push({ field: name, code: code });
+          });
+          if (errors.length && form.elements[errors[0].field] && typeof form.elements[errors[0].field].focus === 'function') {
+            form.elements[errors[0].field].focus();
+          }
+          return { valid: !errors.length, errors: errors };
+        },
+
+        reset: function() {
+          Object.keys(fields).forEach(function(name) {
+            if (form.elements[name]) showError(form.elements[name], '');
+            delete reported[name];
+          });
+        }
+      };
+    }
+  };
+
+})(window);
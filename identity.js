@@ -0,0 +1,277 @@
+/*
+ * Velora Identity
+ * Purpose: Who the visitor is, for custData. Keeps three things:
+ *
+ *  - visitorID:   anonymous id for this browser, created on first visit
+ *  - customerID:  SHA-256 of the customer's email (or account id) once one is
+ *                 known - the raw value is never stored or sent
+ *  - loginStatus: 'guest' | 'logged-in'
+ *
+ * A guest becomes a known customer when they give their email at checkout
+ * (identify); login/logout switch the login state. Everything is kept under
+ * velora_identity: in localStorage once analytics consent is granted (or when
+ * consent.js is not loaded), in sessionStorage while it is pending, so an
+ * undecided shopper gets one ID per tab and nothing that outlives it. The
+ * tab's ID moves to localStorage when analytics is granted; denying analytics
+ * clears both copies (consent.js calls applyConsent on every decision).
+ * A site-provided window.user ({ isLoggedIn, id }) logs in on load, as before.
+ *
+ * Exposes: window.veloraIdentity
+ */
+(function (window) {
+  'use strict';
+
+  const IDENTITY_KEY = 'velora_identity';
+
+  // ============================================================================
+  // SHA-256 (synchronous, so custData can be built inside a push)
+  // ============================================================================
+
+  const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+  ];
+
+  function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+  }
+
+  /**
+   * UTF-8 bytes of a string
+   */
+  function utf8Bytes(str) {
+    const bytes = [];
+    encodeURIComponent(str).replace(/%([0-9A-F]{2})|[^%]/g, function(ch, hex) {
+      bytes.push(hex ? parseInt(hex, 16) : ch.charCodeAt(0));
+      return '';
+    });
+    return bytes;
+  }
+
+  /**
+   * Hex SHA-256 of a string (UTF-8)
+   */
+  function sha256(message) {
+    const bytes = utf8Bytes(String(message));
+    const bitLength = bytes.length * 8;
+    bytes.push(0x80);
+    while (bytes.length % 64 !== 56) bytes.push(0);
+    // Length as a 64-bit big-endian integer (high word is 0 for anything we hash)
+    bytes.push(0, 0, 0, 0, (bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+
+    const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+    const w = new Array(64);
+
+    for (let offset = 0; offset < bytes.length; offset += 64) {
+      for (let i = 0; i < 16; i++) {
+        const j = offset + i * 4;
+        w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+      }
+      for (let i = 16; i < 64; i++) {
+        const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+        const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+      }
+
+      let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+      for (let i = 0; i < 64; i++) {
+        const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        hh = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+      h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+    }
+
+    return h.map(function(word) { return ('00000000' + (word >>> 0).toString(16)).slice(-8); }).join('');
+  }
+
+  // ============================================================================
+  // STORED IDENTITY
+  // ============================================================================
+
+  function generateVisitorId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') return 'v-' + window.crypto.randomUUID();
+    return 'v-' + Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 12);
+  }
+
+  /**
+   * Whether the identity may be persisted (no consent.js means no gate)
+   */
+  function analyticsGranted() {
+    const consent = window.veloraConsent;
+    return !consent || typeof consent.isGranted !== 'function' || consent.isGranted('analytics');
+  }
+
+  function identityStorage() {
+    return analyticsGranted() ? window.localStorage : window.sessionStorage;
+  }
+
+  function readStored(storage) {
+    try {
+      const stored = JSON.parse(storage.getItem(IDENTITY_KEY) || 'null');
+      return stored && stored.visitorID ? stored : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function removeStored(storage) {
+    try {
+      storage.removeItem(IDENTITY_KEY);
+    } catch (e) {}
+  }
+
+  function readIdentity() {
+    const stored = readStored(identityStorage());
+    if (stored) return stored;
+
+    // Analytics granted since this tab made its ID: keep that ID, now persisted
+    const tabIdentity = analyticsGranted() ? readStored(window.sessionStorage) : null;
+    if (tabIdentity) {
+      writeIdentity(tabIdentity);
+      removeStored(window.sessionStorage);
+      return tabIdentity;
+    }
+
+    const identity = { visitorID: generateVisitorId(), customerID: '', loginStatus: 'guest', updatedAt: new Date().toISOString() };
+    writeIdentity(identity);
+    return identity;
+  }
+
+  function writeIdentity(identity) {
+    identity.updatedAt = new Date().toISOString();
+    try {
+      identityStorage().setItem(IDENTITY_KEY, JSON.stringify(identity));
+    } catch (e) {
+      console.error('Identity: Error saving identity', e);
+    }
+  }
+
+  function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+  }
+
+  window.veloraIdentity = {
+
+    /**
+     * Hex SHA-256 of a string
+     * @param {string} value - Value to hash
+     * @returns {string} 64-character hex digest
+     */
+    hash: sha256,
+
+    /**
+     * Hashed customer ID for an email (trimmed, lower-cased first)
+     * @param {string} email - Email address
+     * @returns {string} Hex SHA-256, or '' for an empty email
+     */
+    hashEmail: function(email) {
+      const normalized = normalizeEmail(email);
+      return normalized ? sha256(normalized) : '';
+    },
+
+    /**
+     * @returns {Object} { visitorID, customerID, loginStatus, updatedAt }
+     */
+    get: function() {
+      return Object.assign({}, readIdentity());
+    },
+
+    /**
+     * @returns {string} Anonymous visitor id
+     */
+    getVisitorId: function() {
+      return readIdentity().visitorID;
+    },
+
+    /**
+     * @returns {string} Hashed customer ID, or '' while the visitor is unknown
+     */
+    getCustomerId: function() {
+      return readIdentity().customerID;
+    },
+
+    /**
+     * @returns {string} 'guest' | 'logged-in'
+     */
+    getLoginStatus: function() {
+      return readIdentity().loginStatus;
+    },
+
+    /**
+     * Remember who a guest is (e.g. the email given at checkout); login state is unchanged
+     * @param {string} email - Email address (only its hash is kept)
+     * @returns {string} Hashed customer ID
+     */
+    identify: function(email) {
+      const customerID = this.hashEmail(email);
+      if (!customerID) return readIdentity().customerID;
+
+      const identity = readIdentity();
+      identity.customerID = customerID;
+      writeIdentity(identity);
+      return customerID;
+    },
+
+    /**
+     * Log a customer in
+     * @param {Object} customer - { email } or { id } (account id); only the hash is kept
+     * @returns {string} Hashed customer ID
+     */
+    login: function(customer) {
+      const info = customer || {};
+      const customerID = info.email ? this.hashEmail(info.email) : (info.id ? sha256(String(info.id)) : '');
+      const identity = readIdentity();
+      identity.customerID = customerID || identity.customerID;
+      identity.loginStatus = 'logged-in';
+      writeIdentity(identity);
+      return identity.customerID;
+    },
+
+    /**
+     * Log out: back to an anonymous guest (the visitor ID stays)
+     */
+    logout: function() {
+      const identity = readIdentity();
+      identity.customerID = '';
+      identity.loginStatus = 'guest';
+      writeIdentity(identity);
+    },
+
+    /**
+     * Forget everything, including the visitor ID
+     */
+    reset: function() {
+      removeStored(window.localStorage);
+      removeStored(window.sessionStorage);
+    },
+
+    /**
+     * Follow a consent decision: persist the tab's identity once analytics is
+     * granted, forget it (both copies) once analytics is denied
+     * @param {Object} status - { analytics, marketing, personalization } from veloraConsent
+     */
+    applyConsent: function(status) {
+      const analytics = (status || {}).analytics;
+      if (analytics === 'granted') {
+        readIdentity();
+      } else if (analytics === 'denied') {
+        this.reset();
+      }
+    }
+  };
+
+  // Sites that set window.user before this script keep working
+  if (window.user && window.user.isLoggedIn) {
+    window.veloraIdentity.login({ id: window.user.id, email: window.user.email });
+  }
+
+})(window);
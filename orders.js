@@ -0,0 +1,274 @@
+/*
+ * Velora Orders
+ * Purpose: Order model and order history. buildFromCart turns the cart into an
+ * Order; the thank-you page and adl.trackPurchase both read that same object.
+ *
+ * Order shape (field names match adl.trackPurchase):
+ *   { orderID, createdAt, status, email, firstName, lastName, address, city,
+ *     state, zipCode, paymentMethod, currencyCode, couponCodes, totalQuantity,
+ *     subtotal, discount, shipping, tax, totalValue,
+ *     products: [{ productID, sku, productName, brand, category, color, size,
+ *                  price, quantity, currencyCode }] }
+ *
+ * The history is stored newest first under velora_orders (localStorage, last
+ * 20) without contact details: orderID, date, status, payment method, totals,
+ * products and a zipPrefix (first 3 characters). Email, name and address of
+ * the order just placed are kept in sessionStorage (velora_orderContact) for
+ * that order only, and put back on it by get/getLast/list; older orders come
+ * back with them empty and zipCode set to the zipPrefix. History written with
+ * contact details, and the older `lastOrder` blob ({ id, email, products,
+ * revenue }), are slimmed down on first read.
+ *
+ * Exposes: window.veloraOrders
+ */
+(function (window) {
+  'use strict';
+
+  const ORDERS_KEY = 'velora_orders';
+  const CONTACT_KEY = 'velora_orderContact';
+  const LEGACY_ORDER_KEY = 'lastOrder';
+  const MAX_ORDERS = 20;
+  const ZIP_PREFIX_LENGTH = 3;
+
+  const ADDRESS_FIELDS = ['firstName', 'lastName', 'address', 'city', 'state', 'zipCode'];
+  // Kept for the current order only (sessionStorage), never in the history
+  const CONTACT_FIELDS = ['email'].concat(ADDRESS_FIELDS);
+
+  function round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  function generateOrderId() {
+    return 'VEL-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9).toUpperCase();
+  }
+
+  function currencyFor(item) {
+    return window.adl && typeof window.adl.getCurrency === 'function' ? window.adl.getCurrency(item) : 'INR';
+  }
+
+  function identityOf(item) {
+    if (window.adlProductIdentity) return window.adlProductIdentity.resolve(item);
+    return { productID: item.productID || '', sku: item.sku || '' };
+  }
+
+  /**
+   * Order product from a cart line
+   */
+  function toOrderProduct(line) {
+    const identity = identityOf(line);
+    return {
+      productID: identity.productID,
+      sku: identity.sku,
+      productName: line.name || line.productName || '',
+      brand: String(line.brand || 'velora').toLowerCase(),
+      category: line.category || line.productCategory || '',
+      color: line.color || '',
+      size: line.size || '',
+      price: line.price || 0,
+      quantity: line.quantity || 1,
+      currencyCode: currencyFor(line)
+    };
+  }
+
+  /**
+   * Order from the pre-repository `lastOrder` blob written by payment.html
+   */
+  function fromLegacy(legacy) {
+    const products = (legacy.products || []).map(function(p) {
+      return toOrderProduct({
+        productID: p.productId || p.productID,
+        sku: p.sku,
+        productName: p.productName,
+        category: p.productCategory || p.category,
+        brand: p.brand,
+        price: p.price,
+        quantity: p.quantity
+      });
+    });
+    const total = round(legacy.total || legacy.revenue);
+    return {
+      orderID: String(legacy.id),
+      createdAt: legacy.timestamp || '',
+      status: 'placed',
+      email: legacy.email || '',
+      firstName: '', lastName: '', address: '', city: '', state: '', zipCode: '',
+      paymentMethod: 'card',
+      currencyCode: currencyFor(legacy),
+      couponCodes: legacy.couponCodes || [],
+      totalQuantity: legacy.totalQuantity || products.reduce(function(sum, p) { return sum + p.quantity; }, 0),
+      subtotal: round(typeof legacy.subtotal === 'number' ? legacy.subtotal : total),
+      discount: round(legacy.discount),
+      shipping: round(legacy.shipping),
+      tax: round(legacy.tax),
+      totalValue: total,
+      products: products
+    };
+  }
+
+  /**
+   * History entry for an order: everything but the contact details
+   */
+  function toHistoryEntry(order) {
+    const entry = {};
+    Object.keys(order).forEach(function(field) {
+      if (CONTACT_FIELDS.indexOf(field) === -1) entry[field] = order[field];
+    });
+    if (order.zipCode) entry.zipPrefix = String(order.zipCode).slice(0, ZIP_PREFIX_LENGTH);
+    return entry;
+  }
+
+  function hasContactFields(entry) {
+    return CONTACT_FIELDS.some(function(field) { return field in entry; });
+  }
+
+  function readContact() {
+    try {
+      return JSON.parse(window.sessionStorage.getItem(CONTACT_KEY) || 'null');
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function writeContact(order) {
+    const contact = { orderID: order.orderID };
+    CONTACT_FIELDS.forEach(function(field) { contact[field] = order[field] || ''; });
+    try {
+      window.sessionStorage.setItem(CONTACT_KEY, JSON.stringify(contact));
+    } catch (e) {
+      console.error('Orders: Error saving order contact', e);
+    }
+  }
+
+  /**
+   * Full Order from a history entry: contact details if it is this tab's
+   * current order, else empty ones (zipCode falls back to the zipPrefix)
+   */
+  function withContact(entry, contact) {
+    const order = Object.assign({}, entry);
+    const current = contact && contact.orderID === entry.orderID ? contact : null;
+    CONTACT_FIELDS.forEach(function(field) { order[field] = current ? current[field] || '' : ''; });
+    if (!current) order.zipCode = entry.zipPrefix || '';
+    return order;
+  }
+
+  function readOrders() {
+    let orders = [];
+    try {
+      orders = JSON.parse(window.localStorage.getItem(ORDERS_KEY) || '[]');
+      if (!Array.isArray(orders)) orders = [];
+      let migrated = orders.some(hasContactFields);
+      orders = orders.map(function(o) { return hasContactFields(o) ? toHistoryEntry(o) : o; });
+
+      const legacy = JSON.parse(window.localStorage.getItem(LEGACY_ORDER_KEY) || window.sessionStorage.getItem(LEGACY_ORDER_KEY) || 'null');
+      if (legacy && legacy.id) {
+        if (!orders.some(function(o) { return o.orderID === String(legacy.id); })) orders.unshift(toHistoryEntry(fromLegacy(legacy)));
+        window.localStorage.removeItem(LEGACY_ORDER_KEY);
+        window.sessionStorage.removeItem(LEGACY_ORDER_KEY);
+        migrated = true;
+      }
+      if (migrated) writeOrders(orders);
+    } catch (e) {
+      console.error('Orders: Error reading order history', e);
+    }
+    const contact = readContact();
+    return orders.map(function(o) { return withContact(o, contact); });
+  }
+
+  function writeOrders(entries) {
+    try {
+      window.localStorage.setItem(ORDERS_KEY, JSON.stringify(entries.slice(0, MAX_ORDERS)));
+    } catch (e) {
+      console.error('Orders: Error saving order history', e);
+    }
+  }
+
+  window.veloraOrders = {
+
+    /**
+     * Build an Order from a cart (lines and totals as the shopper saw them)
+     * @param {Object} cart - Cart instance (default window.veloraCart)
+     * @param {Object} details - Optional: { email, firstName, lastName, address, city, state,
+     *   zipCode, paymentMethod, orderID }
+     * @returns {Object|null} Order, or null for an empty cart
+     */
+    buildFromCart: function(cart, details) {
+      const source = cart || window.veloraCart;
+      const info = details || {};
+      if (!source || source.isEmpty) return null;
+
+      const totals = source.getTotals() || {};
+      const lines = source.getItems();
+      const order = {
+        orderID: info.orderID || generateOrderId(),
+        createdAt: new Date().toISOString(),
+        status: 'placed',
+        email: info.email || '',
+        paymentMethod: info.paymentMethod || 'card',
+        currencyCode: currencyFor(),
+        couponCodes: totals.couponCodes || [],
+        totalQuantity: typeof totals.totalQuantity === 'number' ? totals.totalQuantity : source.quantity,
+        subtotal: typeof totals.subtotal === 'number' ? totals.subtotal : source.subtotal,
+        discount: totals.discount || 0,
+        shipping: totals.shipping || 0,
+        tax: totals.tax || 0,
+        totalValue: typeof totals.total === 'number' ? totals.total : source.subtotal,
+        products: lines.map(toOrderProduct)
+      };
+      ADDRESS_FIELDS.forEach(function(field) { order[field] = info[field] || ''; });
+      return order;
+    },
+
+    /**
+     * Add or update an order in the history; its contact details become this
+     * tab's current order contact (sessionStorage)
+     * @param {Object} order - Order
+     * @returns {Object} The saved order
+     */
+    save: function(order) {
+      if (!order || !order.orderID) {
+        console.error('Orders: save requires an order with orderID');
+        return order;
+      }
+      const entries = readOrders()
+        .filter(function(o) { return o.orderID !== order.orderID; })
+        .map(toHistoryEntry);
+      entries.unshift(toHistoryEntry(order));
+      writeOrders(entries);
+      writeContact(order);
+      return order;
+    },
+
+    /**
+     * @param {string} orderID - Order id
+     * @returns {Object|null} Order or null
+     */
+    get: function(orderID) {
+      return readOrders().filter(function(o) { return o.orderID === String(orderID); })[0] || null;
+    },
+
+    /**
+     * @returns {Object|null} Most recently placed order
+     */
+    getLast: function() {
+      return readOrders()[0] || null;
+    },
+
+    /**
+     * @returns {Array} Order history, newest first
+     */
+    list: function() {
+      return readOrders();
+    },
+
+    /**
+     * Forget the order history and the current order contact
+     */
+    clear: function() {
+      try {
+        window.localStorage.removeItem(ORDERS_KEY);
+        window.sessionStorage.removeItem(CONTACT_KEY);
+      } catch (e) {}
+    }
+  };
+
+})(window);
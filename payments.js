@@ -0,0 +1,194 @@
+/*
+ * Velora Payments
+ * Purpose: One interface in front of whatever takes the payment, so
+ * payment.html does not care whether it talks to a real gateway or the
+ * offline mock.
+ *
+ * Provider interface:
+ *   { name, authorize(request) -> Promise<{ status: 'approved'|'declined', reason, transactionId }> }
+ *   request: { orderID, amount, currencyCode, card: { number, expiry, cvv, name } }
+ *
+ * The built-in 'mock' provider decides the outcome from the card number:
+ *   4111 1111 1111 1111 - approved
+ *   4000 0000 0000 0002 - declined
+ *   4000 0000 0000 9995 - insufficient_funds
+ *   4000 0000 0000 0119 - timeout (never answers)
+ * Any other number gets defaultOutcome ('approve'). Override with
+ * veloraPayments.createMockProvider({ testCards, defaultOutcome, latency }).
+ *
+ * pay() emits paymentAttempt before authorizing and paymentFailed when the
+ * payment does not go through. Failure reasons:
+ *   'declined' | 'insufficient_funds' | 'timeout' | 'provider_error'
+ * A provider reason outside that list is reported as 'provider_error', with
+ * the provider's own value in providerReason.
+ *
+ * Exposes: window.veloraPayments
+ */
+(function (window) {
+  'use strict';
+
+  const DEFAULT_TIMEOUT = 10000; // ms to wait for a provider before giving up
+  const FAILURE_REASONS = ['declined', 'insufficient_funds', 'timeout', 'provider_error'];
+
+  const DEFAULT_TEST_CARDS = {
+    '4111111111111111': 'approve',
+    '4000000000000002': 'declined',
+    '4000000000009995': 'insufficient_funds',
+    '4000000000000119': 'timeout'
+  };
+
+  const providers = {};
+  let activeProvider = '';
+  let paymentTimeout = DEFAULT_TIMEOUT;
+
+  function digitsOf(value) {
+    return String(value || '').replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Card brand from the number's prefix (reported instead of the number)
+   */
+  function cardBrand(number) {
+    const digits = digitsOf(number);
+    if (/^4/.test(digits)) return 'visa';
+    if (/^(5[1-5]|2[2-7])/.test(digits)) return 'mastercard';
+    if (/^3[47]/.test(digits)) return 'amex';
+    if (/^(60|65|81|82|508)/.test(digits)) return 'rupay';
+    return 'unknown';
+  }
+
+  function generateTransactionId() {
+    return 'TXN-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6).toUpperCase();
+  }
+
+  /**
+   * Local provider for offline testing; outcome comes from the test card table
+   * @param {Object} options - Optional: { testCards: { number: outcome }, defaultOutcome, latency (ms) }
+   *   outcome: 'approve' | 'declined' | 'insufficient_funds' | 'timeout'
+   * @returns {Object} Provider
+   */
+  function createMockProvider(options) {
+    const opts = options || {};
+    const testCards = Object.assign({}, DEFAULT_TEST_CARDS, opts.testCards);
+    const defaultOutcome = opts.defaultOutcome || 'approve';
+    const latency = typeof opts.latency === 'number' ? opts.latency : 300;
+
+    return {
+      name: opts.name || 'mock',
+      testCards: testCards,
+      authorize: function(request) {
+        const outcome = testCards[digitsOf(request.card && request.card.number)] || defaultOutcome;
+        return new Promise(function(resolve) {
+          if (outcome === 'timeout') return; // the caller's timeout decides
+          setTimeout(function() {
+            resolve(outcome === 'approve'
+              ? { status: 'approved', reason: '', transactionId: generateTransactionId() }
+              : { status: 'declined', reason: outcome, transactionId: '' });
+          }, latency);
+        });
+      }
+    };
+  }
+
+  function trackPayment(method, details) {
+    if (window.adl && typeof window.adl[method] === 'function') window.adl[method](details);
+  }
+
+  window.veloraPayments = {
+
+    createMockProvider: createMockProvider,
+
+    /**
+     * Add a provider (replaces one with the same name)
+     * @param {Object} provider - { name, authorize(request) }
+     * @param {Object} options - Optional: { use: true to make it the active provider }
+     */
+    registerProvider: function(provider, options) {
+      if (!provider || !provider.name || typeof provider.authorize !== 'function') {
+        console.error('Payments: provider needs a name and an authorize function');
+        return;
+      }
+      providers[provider.name] = provider;
+      if (!activeProvider || (options && options.use)) activeProvider = provider.name;
+    },
+
+    /**
+     * Switch the active provider
+     * @param {string} name - Registered provider name
+     * @returns {boolean} Whether the provider exists
+     */
+    useProvider: function(name) {
+      if (!providers[name]) {
+        console.error('Payments: unknown provider ' + name);
+        return false;
+      }
+      activeProvider = name;
+      return true;
+    },
+
+    /**
+     * @returns {Object|null} Active provider
+     */
+    getProvider: function() {
+      return providers[activeProvider] || null;
+    },
+
+    /**
+     * Payment settings
+     * @param {Object} config - { timeout: ms pay() waits for the provider (default 10000) }
+     */
+    configure: function(config) {
+      const cfg = config || {};
+      paymentTimeout = Number(cfg.timeout) > 0 ? Number(cfg.timeout) : DEFAULT_TIMEOUT;
+    },
+
+    /**
+     * Authorize a payment with the active provider; emits paymentAttempt and, on failure, paymentFailed
+     * @param {Object} request - { orderID, amount, currencyCode, paymentMethod, card: { number, expiry, cvv, name } }
+     * @returns {Promise<Object>} { ok, status, reason, providerReason, transactionId, provider }
+     */
+    pay: function(request) {
+      const provider = this.getProvider();
+      const details = {
+        orderID: request.orderID,
+        amount: request.amount,
+        currencyCode: request.currencyCode,
+        paymentMethod: request.paymentMethod || 'card',
+        cardBrand: cardBrand(request.card && request.card.number),
+        provider: provider ? provider.name : ''
+      };
+      trackPayment('trackPaymentAttempt', details);
+
+      const fail = function(providerReason) {
+        const known = FAILURE_REASONS.indexOf(providerReason) !== -1;
+        const reason = known ? providerReason : 'provider_error';
+        const failure = { reason: reason, providerReason: known ? '' : String(providerReason) };
+        trackPayment('trackPaymentFailed', Object.assign({}, details, failure));
+        return { ok: false, status: 'failed', reason: reason, providerReason: failure.providerReason, transactionId: '', provider: details.provider };
+      };
+      if (!provider) return Promise.resolve(fail('provider_error'));
+
+      let timer = null;
+      const timeout = new Promise(function(resolve) {
+        timer = setTimeout(function() { resolve({ status: 'declined', reason: 'timeout' }); }, paymentTimeout);
+      });
+
+      return Promise.race([Promise.resolve().then(function() { return provider.authorize(request); }), timeout])
+        .then(function(response) {
+          clearTimeout(timer);
+          if (response && response.status === 'approved') {
+            return { ok: true, status: 'approved', reason: '', transactionId: response.transactionId || '', provider: details.provider };
+          }
+          return fail((response && response.reason) || 'declined');
+        })
+        .catch(function(e) {
+          clearTimeout(timer);
+          console.error('Payments: provider error', e);
+          return fail('provider_error');
+        });
+    }
+  };
+
+  window.veloraPayments.registerProvider(createMockProvider());
+
+})(window);
@@ -0,0 +1,169 @@
+/*
+ * Collector tests (collector.js)
+ * Purpose: The QA collector's contract with adl-transport.js and the people
+ * querying it:
+ *
+ *  - a batch becomes one record per event; a retried batch (same event ids)
+ *    is recorded once
+ *  - /events filters: event, session, from/to (on queuedAt), limit (newest n)
+ *  - an oversized batch gets a 413 and nothing is recorded
+ *  - only the site's top-level files are served (no traversal, dotfiles,
+ *    subfolders or the events file)
+ *
+ * Each test runs its own collector on a free port with an events file in the
+ * OS temp folder.
+ *
+ * Run: npm test (node --test)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCollector, recordsFromBatch, filterEvents, isServable } = require('../collector');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Collector on a free port; close() stops it and removes its events file
+ */
+async function startCollector() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'velora-collector-'));
+  const file = path.join(dir, 'events.jsonl');
+  const server = createCollector({ file: file });
+  await new Promise(function(resolve) { server.listen(0, '127.0.0.1', resolve); });
+  return {
+    url: 'http://127.0.0.1:' + server.address().port,
+    file: file,
+    close: function() {
+      return new Promise(function(resolve) { server.close(resolve); }).then(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+    }
+  };
+}
+
+function batch(events) {
+  return { sentAt: '2026-01-01T10:00:05Z', sessionID: 's-1', visitorID: 'v-1', page: 'cart.html', events: events };
+}
+
+function post(collector, body) {
+  return fetch(collector.url + '/collect', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+}
+
+test('recordsFromBatch: one record per event, entries without data skipped', function() {
+  const records = recordsFromBatch(batch([
+    { id: 'e1', queuedAt: '2026-01-01T10:00:00Z', data: { event: 'pageLoaded' } },
+    { id: 'e2' },
+    { id: 'e3', queuedAt: '2026-01-01T10:00:01Z', data: { event: 'addToCart' } }
+  ]));
+
+  assert.deepStrictEqual(records.map(function(r) { return [r.id, r.event, r.sessionID, r.visitorID, r.page]; }), [
+    ['e1', 'pageLoaded', 's-1', 'v-1', 'cart.html'],
+    ['e3', 'addToCart', 's-1', 'v-1', 'cart.html']
+  ]);
+  assert.strictEqual(recordsFromBatch({ events: 'nope' }), null);
+  assert.strictEqual(recordsFromBatch(null), null);
+});
+
+test('filterEvents: event, session, from/to and limit', function() {
+  const records = [
+    { id: 'a', event: 'pageLoaded', sessionID: 's-1', queuedAt: '2026-01-01T10:00:00Z' },
+    { id: 'b', event: 'addToCart', sessionID: 's-1', queuedAt: '2026-01-01T10:01:00Z' },
+    { id: 'c', event: 'pageLoaded', sessionID: 's-2', queuedAt: '2026-01-01T10:02:00Z' },
+    { id: 'd', event: 'scPurchase', sessionID: 's-2', queuedAt: '2026-01-01T10:03:00Z' }
+  ];
+  function ids(query) {
+    return filterEvents(records, new URLSearchParams(query)).map(function(r) { return r.id; });
+  }
+
+  assert.deepStrictEqual(ids(''), ['a', 'b', 'c', 'd']);
+  assert.deepStrictEqual(ids('event=pageLoaded,scPurchase'), ['a', 'c', 'd']);
+  assert.deepStrictEqual(ids('session=s-2'), ['c', 'd']);
+  assert.deepStrictEqual(ids('from=2026-01-01T10:01:00Z'), ['b', 'c', 'd']);
+  assert.deepStrictEqual(ids('to=2026-01-01T10:01:00Z'), ['a', 'b']);
+  assert.deepStrictEqual(ids('from=2026-01-01T10:00:30Z&to=2026-01-01T10:02:30Z'), ['b', 'c']);
+  assert.deepStrictEqual(ids('limit=2'), ['c', 'd']);
+  assert.deepStrictEqual(ids('event=pageLoaded&limit=1'), ['c']);
+  assert.deepStrictEqual(ids('from=not-a-date&limit=0'), ['a', 'b', 'c', 'd']);
+});
+
+test('isServable: top-level site files only', function() {
+  const eventsFile = path.join(ROOT, 'events.jsonl');
+  function servable(relative) {
+    return isServable(path.resolve(ROOT, relative), eventsFile);
+  }
+
+  assert.ok(servable('index.html'));
+  assert.ok(servable('adl-utils.js'));
+  assert.ok(servable('products.json'));
+  assert.ok(!servable('../index.html'), 'outside the site folder');
+  assert.ok(!servable('../../etc/passwd.json'), 'outside the site folder');
+  assert.ok(!servable('tests/../../index.html'), 'outside the site folder');
+  assert.ok(!servable('tests/harness.js'), 'subfolder');
+  assert.ok(!servable('node_modules/jsdom/package.json'), 'subfolder');
+  assert.ok(!servable('.gitignore'), 'dotfile');
+  assert.ok(!servable('events.jsonl'), 'events file');
+  assert.ok(!servable('README.md'), 'file type not in CONTENT_TYPES');
+  assert.ok(!servable('.'), 'the folder itself');
+});
+
+test('POST /collect: a retried batch is recorded once', async function() {
+  const collector = await startCollector();
+  try {
+    const first = batch([
+      { id: 'e1', queuedAt: '2026-01-01T10:00:00Z', data: { event: 'pageLoaded' } },
+      { id: 'e2', queuedAt: '2026-01-01T10:00:01Z', data: { event: 'addToCart' } }
+    ]);
+    assert.strictEqual((await post(collector, first)).status, 204);
+    assert.strictEqual((await post(collector, first)).status, 204);
+    const retry = batch(first.events.concat([{ id: 'e3', queuedAt: '2026-01-01T10:00:02Z', data: { event: 'linkClicked' } }]));
+    assert.strictEqual((await post(collector, retry)).status, 204);
+
+    const recorded = await (await fetch(collector.url + '/events')).json();
+    assert.deepStrictEqual(recorded.map(function(r) { return r.id; }), ['e1', 'e2', 'e3']);
+    assert.strictEqual(fs.readFileSync(collector.file, 'utf8').split('\n').filter(Boolean).length, 3);
+
+    const filtered = await (await fetch(collector.url + '/events?event=addToCart,linkClicked&limit=1')).json();
+    assert.deepStrictEqual(filtered.map(function(r) { return r.id; }), ['e3']);
+
+    assert.strictEqual((await post(collector, '{"not":"a batch"}')).status, 400);
+  } finally {
+    await collector.close();
+  }
+});
+
+test('POST /collect: an oversized batch gets a 413', async function() {
+  const collector = await startCollector();
+  try {
+    const big = batch([{ id: 'big', queuedAt: '2026-01-01T10:00:00Z', data: { event: 'pageLoaded', padding: 'x'.repeat(1024 * 1024) } }]);
+    const res = await post(collector, big);
+    assert.strictEqual(res.status, 413);
+    assert.match((await res.json()).error, /larger than/);
+
+    const recorded = await (await fetch(collector.url + '/events')).json();
+    assert.deepStrictEqual(recorded, []);
+  } finally {
+    await collector.close();
+  }
+});
+
+test('GET: site files are served, everything else is a 404', async function() {
+  const collector = await startCollector();
+  try {
+    assert.strictEqual((await fetch(collector.url + '/')).status, 200);
+    assert.strictEqual((await fetch(collector.url + '/adl-utils.js')).status, 200);
+    assert.strictEqual((await fetch(collector.url + '/%2e%2e/%2e%2e/etc/passwd')).status, 404);
+    assert.strictEqual((await fetch(collector.url + '/tests/harness.js')).status, 404);
+    assert.strictEqual((await fetch(collector.url + '/.gitignore')).status, 404);
+    assert.strictEqual((await fetch(collector.url + '/%E0%A4%A')).status, 400);
+  } finally {
+    await collector.close();
+  }
+});
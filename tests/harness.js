@@ -0,0 +1,177 @@
+/*
+ * Page harness for the journey tests
+ * Purpose: Load a site page in jsdom the way a browser tab would - its local
+ * scripts inlined in order, Launch (external scripts) left out, fetch served
+ * from this folder - and carry cookies, localStorage and sessionStorage from
+ * one page to the next like a single tab.
+ *
+ * jsdom does not navigate, so the journey names each next page itself
+ * (see fixtures/journey.json).
+ *
+ * Exposes: createSession(options) -> { open(page), state }
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+function readSiteFile(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * Page HTML with every local <script src> inlined (keeping its attributes) and
+ * external scripts dropped
+ */
+function inlineScripts(html) {
+  return html
+    .replace(/<script src="https?:[^"]*"[^>]*><\/script>/g, '')
+    .replace(/<script src="([^"]+)"([^>]*)><\/script>/g, function(match, src, attrs) {
+      return '<script' + attrs + '>' + readSiteFile(src).replace(/<\/script>/g, '<\\/script>') + '\n</script>';
+    });
+}
+
+/**
+ * fetch for site files; anything else (e.g. the /collect endpoint) is a 404,
+ * which also switches adl-transport.js off
+ */
+function siteFetch(url) {
+  const file = String(url).split('?')[0].replace(/^\//, '');
+  try {
+    const body = readSiteFile(file);
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: function() { return Promise.resolve(JSON.parse(body)); },
+      text: function() { return Promise.resolve(body); }
+    });
+  } catch (e) {
+    return Promise.resolve({ ok: false, status: 404, json: function() { return Promise.reject(e); }, text: function() { return Promise.resolve(''); } });
+  }
+}
+
+function copyStorage(storage) {
+  const copy = {};
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    copy[key] = storage.getItem(key);
+  }
+  return copy;
+}
+
+/**
+ * Objects created in the page belong to its realm; deepStrictEqual needs ours
+ */
+function copyOut(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function wait(ms) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms); });
+}
+
+/**
+ * A browsing session (one tab)
+ * @param {Object} options - Optional: { consent: { analytics, marketing, personalization } (booleans;
+ *   omitted = no decision yet), validation: adlValidation.configure() settings (auto-run is off
+ *   unless set here), origin (default http://localhost/) }
+ */
+function createSession(options) {
+  const opts = options || {};
+  const state = { cookies: [], localStorage: {}, sessionStorage: {} };
+
+  if (opts.consent) {
+    const record = { version: 1, categories: opts.consent, decidedAt: new Date().toISOString() };
+    state.cookies.push('velora_consent=' + encodeURIComponent(JSON.stringify(record)));
+  }
+
+  /**
+   * Open a page with the session's storage
+   * @param {string} page - e.g. 'pdp.html?id=1'
+   * @param {Object} pageOptions - Optional: { settle: ms to wait for async start-up (default 100) }
+   * @returns {Promise<Object>} Page: { window, document, logs, errors(), events(), newEvents(), evaluate(fn), close() }
+   */
+  async function open(page, pageOptions) {
+    const settle = pageOptions && typeof pageOptions.settle === 'number' ? pageOptions.settle : 100;
+    const logs = [];
+    const virtualConsole = new VirtualConsole();
+    const format = function(args) {
+      return args.map(function(arg) { return typeof arg === 'string' ? arg : (arg && arg.stack) || JSON.stringify(arg); }).join(' ');
+    };
+    virtualConsole.on('log', function() { logs.push({ level: 'log', text: format([].slice.call(arguments)) }); });
+    virtualConsole.on('warn', function() { logs.push({ level: 'warn', text: format([].slice.call(arguments)) }); });
+    virtualConsole.on('error', function() { logs.push({ level: 'error', text: format([].slice.call(arguments)) }); });
+    virtualConsole.on('jsdomError', function(e) {
+      // Navigation is expected (links, location.href); the journey opens the next page itself
+      if (!/navigation/.test(e.message)) logs.push({ level: 'error', text: e.message });
+    });
+
+    const dom = new JSDOM(inlineScripts(readSiteFile(page.split('?')[0])), {
+      url: (opts.origin || 'http://localhost/') + page,
+      runScripts: 'dangerously',
+      pretendToBeVisual: true,
+      virtualConsole: virtualConsole,
+      beforeParse: function(window) {
+        state.cookies.forEach(function(cookie) { window.document.cookie = cookie; });
+        Object.keys(state.localStorage).forEach(function(key) { window.localStorage.setItem(key, state.localStorage[key]); });
+        Object.keys(state.sessionStorage).forEach(function(key) { window.sessionStorage.setItem(key, state.sessionStorage[key]); });
+        window.fetch = siteFetch;
+        window.alert = function() {};
+      }
+    });
+    const window = dom.window;
+    // The tests ask adlValidation.report() themselves instead of the timed console run
+    if (window.adlValidation) window.adlValidation.configure(Object.assign({ autoRun: false }, opts.validation));
+    await wait(settle);
+
+    return {
+      window: window,
+      document: window.document,
+      logs: logs,
+
+      /** Console errors and warnings */
+      errors: function() {
+        return logs.filter(function(entry) { return entry.level !== 'log'; }).map(function(entry) { return entry.text; });
+      },
+
+      /** Every event object in adobeDataLayer, restored ones included (copied out of the page) */
+      events: function() {
+        return copyOut(window.adobeDataLayer.filter(function(item) { return item && typeof item === 'object' && item.event; }));
+      },
+
+      /** Run fn in the page and copy its result out (plain objects compare across realms) */
+      evaluate: function(fn) {
+        return copyOut(fn(window));
+      },
+
+      /** Events pushed on this page (restored ones left out) */
+      newEvents: function() {
+        return this.events().filter(function(item) { return !item.restored; });
+      },
+
+      /** Save the page's storage into the session and close the window */
+      close: function() {
+        state.localStorage = copyStorage(window.localStorage);
+        state.sessionStorage = copyStorage(window.sessionStorage);
+        state.cookies = String(window.document.cookie || '').split(/;\s*/).filter(Boolean);
+        window.close();
+      }
+    };
+  }
+
+  return { open: open, state: state };
+}
+
+/**
+ * Value at a dot path ('xdmCommerce.order.products.0.sku')
+ */
+function getPath(obj, dotPath) {
+  return String(dotPath).split('.').reduce(function(value, key) {
+    return value === undefined || value === null ? undefined : value[key];
+  }, obj);
+}
+
+module.exports = { createSession: createSession, getPath: getPath, wait: wait };
@@ -0,0 +1,163 @@
+/*
+ * Journey tests: one per fixture in fixtures/ (journey.json: home to thank-you
+ * and a thank-you reload; consent-pending.json; payment-failure.json)
+ * Purpose: Assert the event contract page by page - the exact sequence of
+ * events pushed on each page, the restored events carried over, the events
+ * consent.js still holds, and the shape of each event - plus the rules every
+ * page follows:
+ *
+ *  - exactly one pageLoaded of its own (none while consent.js holds it),
+ *    pushed before any other event of the page (THANKYOU_PAGE_FIX.md) except
+ *    the consentChanged that releases it; events released from an earlier
+ *    page (consentReplay) don't count
+ *  - every push passes its adlValidation schema, and adlValidation.report()
+ *    finds no errors once the page is done (and the findings the step
+ *    expects, e.g. purchase.duplicateOrder on a thank-you reload)
+ *  - no console errors or warnings
+ *  - one visitorID for the whole journey
+ *  - no email address left in localStorage (order contact details stay in
+ *    sessionStorage)
+ *
+ * Fixture: { description, consent (omitted = no decision yet), steps: [{ name,
+ *   page, settle, actions, restored, events: [{ event, match, present }], held, findings }] }
+ * actions: [{ click: selector } | { fill: formSelector, values } | { wait: ms }];
+ * match: { dotPath: value }; present: [dotPath]
+ *
+ * Run: npm test (node --test)
+ */
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createSession, getPath, wait } = require('./harness');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Run one fixture action on the page
+ */
+async function perform(page, action) {
+  const doc = page.document;
+  if (action.wait) return wait(action.wait);
+
+  if (action.fill) {
+    const form = doc.querySelector(action.fill);
+    assert.ok(form, 'form ' + action.fill + ' not found');
+    Object.keys(action.values).forEach(function(name) {
+      assert.ok(form.elements[name], 'field ' + name + ' not found in ' + action.fill);
+      form.elements[name].value = action.values[name];
+    });
+    return;
+  }
+
+  if (action.click) {
+    const el = doc.querySelector(action.click);
+    assert.ok(el, 'element ' + action.click + ' not found');
+    el.click();
+    return wait(action.settle || 50);
+  }
+
+  throw new Error('Unknown action ' + JSON.stringify(action));
+}
+
+/**
+ * Page URL with {lastOrderID} filled in from the saved order history
+ */
+function resolvePage(page, state) {
+  return page.replace('{lastOrderID}', function() {
+    const orders = JSON.parse(state.localStorage.velora_orders || '[]');
+    return orders.length ? encodeURIComponent(orders[0].orderID) : '';
+  });
+}
+
+function visitorIdOf(item) {
+  return getPath(item, 'custData.visitorID') || getPath(item, 'xdmPageLoad.custData.visitorID');
+}
+
+fs.readdirSync(FIXTURES).filter(function(file) { return /\.json$/.test(file); }).forEach(function(file) {
+  const journey = JSON.parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+
+  test(file + ': ' + journey.description, async function(t) {
+    const session = createSession({ consent: journey.consent });
+    let visitorID = '';
+
+    for (const step of journey.steps) {
+      await t.test(step.name, async function() {
+        const page = await session.open(resolvePage(step.page, session.state), { settle: step.settle });
+        try {
+          for (const action of step.actions) await perform(page, action);
+
+          const all = page.events();
+          const fresh = page.newEvents();
+          const own = fresh.filter(function(item) { return !item.consentReplay; });
+          const held = page.evaluate(function(window) {
+            return window.veloraConsent.getQueue().map(function(item) { return item.event; });
+          });
+
+          // Sequence: restored events first, then this page's own events in order
+          assert.deepStrictEqual(
+            all.filter(function(item) { return item.restored; }).map(function(item) { return item.event; }),
+            step.restored,
+            'restored events on ' + step.page
+          );
+          assert.deepStrictEqual(
+            fresh.map(function(item) { return item.event; }),
+            step.events.map(function(expected) { return expected.event; }),
+            'events on ' + step.page
+          );
+          assert.ok(all.slice(0, step.restored.length).every(function(item) { return item.restored; }),
+            'restored events come before the page\'s own events');
+
+          assert.deepStrictEqual(held, step.held || [], 'events held for consent on ' + step.page);
+
+          // Single pageLoaded rule
+          const pageLoads = own.filter(function(item) { return item.event === 'pageLoaded'; });
+          const firstOwn = own.filter(function(item) { return item.event !== 'consentChanged'; })[0];
+          if (held.indexOf('pageLoaded') !== -1) {
+            assert.strictEqual(pageLoads.length, 0, 'no pageLoaded before consent on ' + step.page);
+          } else {
+            assert.strictEqual(pageLoads.length, 1, 'exactly one pageLoaded on ' + step.page);
+            assert.strictEqual(firstOwn.event, 'pageLoaded', 'pageLoaded is the first event on ' + step.page);
+            assert.ok(!pageLoads[0].xdmCommerce, 'pageLoaded carries no commerce data');
+          }
+
+          // Shape
+          step.events.forEach(function(expected, i) {
+            Object.keys(expected.match || {}).forEach(function(dotPath) {
+              assert.deepStrictEqual(getPath(fresh[i], dotPath), expected.match[dotPath],
+                expected.event + ' (#' + i + ') ' + dotPath);
+            });
+            (expected.present || []).forEach(function(dotPath) {
+              const value = getPath(fresh[i], dotPath);
+              assert.ok(value !== undefined && value !== null && value !== '', expected.event + ' (#' + i + ') is missing ' + dotPath);
+            });
+          });
+
+          // Same visitor throughout
+          fresh.forEach(function(item) {
+            const id = visitorIdOf(item);
+            assert.ok(id, item.event + ' has no custData.visitorID');
+            visitorID = visitorID || id;
+            assert.strictEqual(id, visitorID, item.event + ' visitorID changed during the journey');
+          });
+
+          assert.deepStrictEqual(page.evaluate(function(window) { return window.adlValidation.getPushResults(true); }), [], 'schema failures on ' + step.page);
+          const report = page.evaluate(function(window) { return window.adlValidation.report(); });
+          assert.deepStrictEqual(report.results.filter(function(r) { return r.severity === 'error'; }), [], 'validation errors on ' + step.page);
+          (step.findings || []).forEach(function(ruleId) {
+            assert.ok(report.results.some(function(r) { return r.ruleId === ruleId; }), ruleId + ' not reported on ' + step.page);
+          });
+          assert.deepStrictEqual(page.errors(), [], 'console errors on ' + step.page);
+        } finally {
+          page.close();
+        }
+
+        Object.keys(session.state.localStorage).forEach(function(key) {
+          assert.ok(!/@/.test(session.state.localStorage[key]), 'email address in localStorage.' + key + ' after ' + step.page);
+        });
+      });
+    }
+  });
+});
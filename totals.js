@@ -0,0 +1,203 @@
+/*
+ * Velora Order Totals
+ * Purpose: One calculator for subtotal, discounts, shipping, tax and total so
+ * the cart, checkout, payment and thank-you pages show the same numbers the
+ * scCheckout/scPurchase events report.
+ *
+ * Order of calculation:
+ *   1. subtotal        = sum of price x quantity
+ *   2. line discounts  = discounts with scope 'line' (matched per line)
+ *   3. order discounts = discounts with scope 'order' (on the subtotal after line discounts)
+ *   4. shipping        = tier for the discounted merchandise total ('free_shipping' discounts zero it)
+ *   5. tax             = per-line rate on each line's discounted amount (order discounts
+ *                        are spread over lines by value); exclusive unless tax.inclusive
+ *   6. total           = subtotal - discount + shipping + tax (tax excluded when inclusive)
+ *
+ * Discount shape: { id, scope: 'line'|'order', type: 'percent'|'fixed'|'free_shipping',
+ *   value, category?, sku?, productId?, minSubtotal?, minQuantity? }
+ *
+ * Exposes: window.veloraTotals
+ */
+(function (window) {
+  'use strict';
+
+  // Apparel GST: 5% up to 1000 per unit, 12% above. Shipping free from 1999.
+  const DEFAULT_TOTALS_CONFIG = {
+    tax: {
+      rate: 0.12,
+      inclusive: false,
+      rules: [
+        { maxUnitPrice: 1000, rate: 0.05 }
+      ]
+    },
+    shipping: {
+      tiers: [
+        { minSubtotal: 0, cost: 99 },
+        { minSubtotal: 1999, cost: 0 }
+      ]
+    },
+    discounts: []
+  };
+
+  let totalsConfig = JSON.parse(JSON.stringify(DEFAULT_TOTALS_CONFIG));
+
+  function round(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  function lineMatches(rule, line) {
+    if (rule.category && String(rule.category).toLowerCase() !== String(line.category || '').toLowerCase()) return false;
+    if (rule.sku && String(rule.sku) !== String(line.sku)) return false;
+    if (rule.productId && String(rule.productId) !== String(line.id)) return false;
+    if (rule.minQuantity && line.quantity < rule.minQuantity) return false;
+    if (rule.minUnitPrice !== undefined && line.price < rule.minUnitPrice) return false;
+    if (rule.maxUnitPrice !== undefined && line.price > rule.maxUnitPrice) return false;
+    return true;
+  }
+
+  /**
+   * Amount a percent/fixed discount takes off a base, never more than the base
+   */
+  function discountAmount(discount, base) {
+    if (base <= 0) return 0;
+    if (discount.type === 'percent') return round(Math.min(base, base * (Number(discount.value) || 0) / 100));
+    if (discount.type === 'fixed') return round(Math.min(base, Number(discount.value) || 0));
+    return 0;
+  }
+
+  function taxRateFor(line) {
+    const tax = totalsConfig.tax || {};
+    const rule = (tax.rules || []).filter(function(r) { return lineMatches(r, line); })[0];
+    return rule ? Number(rule.rate) || 0 : Number(tax.rate) || 0;
+  }
+
+  function shippingFor(merchandiseTotal) {
+    const tiers = ((totalsConfig.shipping || {}).tiers || []).slice(0).sort(function(a, b) { return a.minSubtotal - b.minSubtotal; });
+    let cost = 0;
+    tiers.forEach(function(tier) {
+      if (merchandiseTotal >= (tier.minSubtotal || 0)) cost = Number(tier.cost) || 0;
+    });
+    return round(cost);
+  }
+
+  window.veloraTotals = {
+
+    /**
+     * Override tax, shipping or standing discount settings (merged into the defaults)
+     * @param {Object} config - { tax: { rate, inclusive, rules }, shipping: { tiers }, discounts }
+     */
+    configure: function(config) {
+      const cfg = config || {};
+      totalsConfig = {
+        tax: Object.assign({}, DEFAULT_TOTALS_CONFIG.tax, cfg.tax),
+        shipping: Object.assign({}, DEFAULT_TOTALS_CONFIG.shipping, cfg.shipping),
+        discounts: Array.isArray(cfg.discounts) ? cfg.discounts.slice(0) : []
+      };
+      return totalsConfig;
+    },
+
+    /**
+     * @returns {Object} Active settings
+     */
+    getConfig: function() {
+      return JSON.parse(JSON.stringify(totalsConfig));
+    },
+
+    /**
+     * Calculate totals for cart lines
+     * @param {Array} items - Cart lines ({ key, id, sku, category, price, quantity })
+     * @param {Object} options - Optional: { discounts: extra discounts for this calculation (e.g. coupons) }
+     * @returns {Object} { lines, subtotal, lineDiscount, orderDiscount, discount, shipping, tax,
+     *   total, totalQuantity, taxInclusive, discounts: [{ id, scope, type, amount }] }
+     */
+    calculate: function(items, options) {
+      const opts = options || {};
+      const discounts = (totalsConfig.discounts || []).concat(opts.discounts || []);
+      const applied = [];
+
+      const lines = (items || []).map(function(item) {
+        const line = {
+          key: item.key || '',
+          id: String(item.id || ''),
+          sku: item.sku || '',
+          category: item.category || '',
+          price: Number(item.price) || 0,
+          quantity: Math.max(0, Number(item.quantity) || 0)
+        };
+        line.lineSubtotal = round(line.price * line.quantity);
+        line.discount = 0;
+        return line;
+      });
+
+      const subtotal = round(lines.reduce(function(sum, l) { return sum + l.lineSubtotal; }, 0));
+      const totalQuantity = lines.reduce(function(sum, l) { return sum + l.quantity; }, 0);
+
+      // Line-level discounts
+      discounts.filter(function(d) { return d.scope === 'line'; }).forEach(function(d) {
+        let amount = 0;
+        lines.forEach(function(line) {
+          if (!lineMatches(d, line)) return;
+          const off = discountAmount(d, line.lineSubtotal - line.discount);
+          line.discount = round(line.discount + off);
+          amount += off;
+        });
+        if (amount > 0) applied.push({ id: d.id || '', scope: 'line', type: d.type, amount: round(amount) });
+      });
+      const lineDiscount = round(lines.reduce(function(sum, l) { return sum + l.discount; }, 0));
+
+      // Order-level discounts (min spend checked against the subtotal after line discounts)
+      let orderDiscount = 0;
+      let freeShipping = false;
+      discounts.filter(function(d) { return d.scope !== 'line'; }).forEach(function(d) {
+        const base = subtotal - lineDiscount - orderDiscount;
+        if (d.minSubtotal && subtotal - lineDiscount < d.minSubtotal) return;
+        if (d.type === 'free_shipping') {
+          freeShipping = true;
+          applied.push({ id: d.id || '', scope: 'order', type: d.type, amount: 0 });
+          return;
+        }
+        const off = discountAmount(d, base);
+        if (off > 0) {
+          orderDiscount = round(orderDiscount + off);
+          applied.push({ id: d.id || '', scope: 'order', type: d.type, amount: off });
+        }
+      });
+
+      const discount = round(lineDiscount + orderDiscount);
+      const merchandiseTotal = round(subtotal - discount);
+
+      // Spread the order discount over lines by value for tax
+      const afterLine = subtotal - lineDiscount;
+      const tax = totalsConfig.tax || {};
+      let taxTotal = 0;
+      lines.forEach(function(line) {
+        const share = afterLine > 0 ? orderDiscount * (line.lineSubtotal - line.discount) / afterLine : 0;
+        line.lineTotal = round(line.lineSubtotal - line.discount - share);
+        line.taxRate = taxRateFor(line);
+        line.tax = tax.inclusive
+          ? round(line.lineTotal - line.lineTotal / (1 + line.taxRate))
+          : round(line.lineTotal * line.taxRate);
+        taxTotal += line.tax;
+      });
+      taxTotal = round(taxTotal);
+
+      const shipping = lines.length && !freeShipping ? shippingFor(merchandiseTotal) : 0;
+      const total = round(merchandiseTotal + shipping + (tax.inclusive ? 0 : taxTotal));
+
+      return {
+        lines: lines,
+        subtotal: subtotal,
+        lineDiscount: lineDiscount,
+        orderDiscount: orderDiscount,
+        discount: discount,
+        shipping: shipping,
+        tax: taxTotal,
+        total: total,
+        totalQuantity: totalQuantity,
+        taxInclusive: !!tax.inclusive,
+        discounts: applied
+      };
+    }
+  };
+
+})(window);